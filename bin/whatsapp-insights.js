@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import JSZip from 'jszip';
+import {
+  parseChat,
+  mergeChatExports,
+  computeStatistics,
+  filterMessagesByDate,
+  generateMarkdownSummary,
+  detectChatTranscript,
+  formatMediaBreakdown
+} from '../js/chatParser.js';
+import { applyPrivacy, parseCustomPatterns } from '../js/privacy.js';
+
+const USAGE = `Usage: whatsapp-insights <chat.zip|chat.txt>... [options]
+
+Several exports of the same chat are merged, skipping messages they have in common.
+
+Options:
+  --format <markdown|json|table>  Output format (default: markdown)
+  --from <YYYY-MM-DD>             Only include messages on or after this date
+  --to <YYYY-MM-DD>               Only include messages on or before this date
+  --date-format <DMY|MDY>         Override the detected day/month order
+  --response-gap <minutes>        Ignore replies slower than this many minutes
+  --overnight-buffer <minutes>    Extra minutes allowed for replies across midnight
+  --session-gap <minutes>         Minutes of silence that start a new conversation (default: 60)
+  --title <text>                  Markdown title (default: WhatsApp Chat Summary)
+  --samples <count>               Representative moments in Markdown, 0-10 (default: 3)
+  --privacy                       Replace names with aliases and redact phones, e-mails and links
+  --redact <pattern>              Extra regular expression to redact in privacy mode (repeatable)
+  -h, --help                      Show this help
+`;
+
+const OUTPUT_FORMATS = ['markdown', 'json', 'table'];
+const DATE_FORMATS = ['DMY', 'MDY'];
+const DATE_INPUT_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class UsageError extends Error {}
+
+// The pattern alone lets 2024-13-45 through; Date rolls it over, so compare the parts.
+function isCalendarDate(value) {
+  if (!DATE_INPUT_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+function parseMinutes(value, flag) {
+  if (value === undefined) return undefined;
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw new UsageError(`${flag} expects a number of minutes, got "${value}".`);
+  }
+  return minutes;
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'markdown' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'date-format': { type: 'string' },
+      'response-gap': { type: 'string' },
+      'overnight-buffer': { type: 'string' },
+      'session-gap': { type: 'string' },
+      title: { type: 'string', default: 'WhatsApp Chat Summary' },
+      samples: { type: 'string', default: '3' },
+      privacy: { type: 'boolean', default: false },
+      redact: { type: 'string', multiple: true, default: [] },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (!positionals.length) {
+    throw new UsageError('Expected at least one .zip or .txt export.');
+  }
+
+  const format = values.format.toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  const dateFormat = values['date-format']?.toUpperCase();
+  if (dateFormat && !DATE_FORMATS.includes(dateFormat)) {
+    throw new UsageError(`--date-format must be one of ${DATE_FORMATS.join(', ')}.`);
+  }
+  for (const flag of ['from', 'to']) {
+    if (values[flag] && !isCalendarDate(values[flag])) {
+      throw new UsageError(`--${flag} expects a date like 2024-01-31.`);
+    }
+  }
+
+  // Mirrors the dashboard: the overnight buffer only applies on top of a reply gap.
+  const responseGapMinutes = parseMinutes(values['response-gap'], '--response-gap') || null;
+  const overnightBufferMinutes = responseGapMinutes
+    ? parseMinutes(values['overnight-buffer'], '--overnight-buffer') || 0
+    : 0;
+
+  const sessionGapMinutes = parseMinutes(values['session-gap'], '--session-gap') || undefined;
+
+  return {
+    files: positionals,
+    format,
+    from: values.from || null,
+    to: values.to || null,
+    dateFormat,
+    responseGapMinutes,
+    overnightBufferMinutes,
+    sessionGapMinutes,
+    title: values.title,
+    privacy: values.privacy,
+    redactPatterns: parseCustomPatterns(values.redact.join('\n')),
+    sampleCount: Math.max(0, Math.min(10, Number(values.samples) || 0))
+  };
+}
+
+// Picks the transcript with the most message headers, like the dashboard's default choice.
+async function readChatText(file) {
+  const buffer = await readFile(file);
+  if (path.extname(file).toLowerCase() !== '.zip') {
+    return buffer.toString('utf8');
+  }
+
+  const zip = await JSZip.loadAsync(buffer);
+  const entries = Object.values(zip.files)
+    .filter((entry) => !entry.dir && entry.name.toLowerCase().endsWith('.txt'))
+    .filter((entry) => !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'));
+
+  let best = null;
+  for (const entry of entries) {
+    const text = await entry.async('string');
+    const { headerCount } = detectChatTranscript(text);
+    if (headerCount && (!best || headerCount > best.headerCount)) {
+      best = { text, headerCount };
+    }
+  }
+  if (!best) {
+    throw new Error(`No WhatsApp transcript found in ${file}.`);
+  }
+  return best.text;
+}
+
+function toJSON(stats) {
+  return JSON.stringify(stats, (key, value) => (value instanceof Map ? Object.fromEntries(value) : value), 2);
+}
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+  return rows
+    .map((row) => row
+      .map((cell, column) => (column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column])))
+      .join('  '))
+    .join('\n');
+}
+
+function renderTerminalTable(stats) {
+  const formatDate = (date) => (date
+    ? [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, '0')).join('-')
+    : '—');
+  const lines = [
+    `${stats.totalMessages.toLocaleString()} messages · ${stats.totalWords.toLocaleString()} words · `
+      + `${stats.participants.length} participants · ${formatDate(stats.firstMessageDate)} → ${formatDate(stats.lastMessageDate)}`
+  ];
+  if (stats.mediaCount) {
+    lines.push(`Media: ${stats.mediaCount.toLocaleString()} (${formatMediaBreakdown(stats.mediaByKind)})`);
+  }
+  lines.push('');
+
+  const rows = [['Participant', 'Messages', 'Words', 'Words/msg', 'Median reply (min)', 'Media']];
+  for (const participant of stats.participants) {
+    const media = Object.values(stats.mediaByParticipant[participant] || {}).reduce((sum, count) => sum + count, 0);
+    rows.push([
+      participant,
+      stats.messageCountByParticipant[participant].toLocaleString(),
+      (stats.wordCountByParticipant[participant] || 0).toLocaleString(),
+      stats.averageWordsPerMessage[participant].toFixed(1),
+      stats.responseTimes[participant] ? stats.responseTimes[participant].medianMinutes.toFixed(1) : '—',
+      media.toLocaleString()
+    ]);
+  }
+  lines.push(formatTable(rows));
+
+  if (stats.topWords.length) {
+    lines.push('', `Top words: ${stats.topWords.slice(0, 10).map(([word, count]) => `${word} (${count})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const exports = [];
+  for (const file of options.files) {
+    const text = await readChatText(file);
+    const result = parseChat(text, { dateFormat: options.dateFormat });
+    const dropped = result.diagnostics?.invalidDates.count || 0;
+    if (dropped) {
+      // A detected order can be wrong just like a forced one, so suggest the other order.
+      const otherFormat = DATE_FORMATS.find((format) => format !== result.dateFormat);
+      const hint = options.dateFormat ? 'check --date-format' : `check --date-format (try --date-format ${otherFormat})`;
+      process.stderr.write(`whatsapp-insights: warning: ${file}: ${dropped} message${dropped === 1 ? '' : 's'} dropped `
+        + `because ${dropped === 1 ? 'its date does' : 'their dates do'} not exist in ${result.dateFormat} order; ${hint}.\n`);
+    }
+    exports.push({ name: file, result });
+  }
+  const parsed = exports.length === 1 ? exports[0].result : mergeChatExports(exports);
+  if (!parsed.messages.length) {
+    throw new Error('No messages could be parsed. Please ensure this is a standard WhatsApp export.');
+  }
+  const { languagePack } = parsed;
+  const { messages } = applyPrivacy(parsed.messages, {
+    enabled: options.privacy,
+    customPatterns: options.redactPatterns
+  });
+
+  const filtered = filterMessagesByDate(messages, options.from, options.to);
+  const stats = computeStatistics(filtered, {
+    responseGapMinutes: options.responseGapMinutes,
+    overnightBufferMinutes: options.overnightBufferMinutes,
+    sessionGapMinutes: options.sessionGapMinutes,
+    languagePack
+  });
+
+  let output;
+  if (options.format === 'json') {
+    output = toJSON(stats);
+  } else if (options.format === 'table') {
+    output = renderTerminalTable(stats);
+  } else {
+    output = generateMarkdownSummary({
+      title: options.title,
+      messages: filtered,
+      stats,
+      startDate: options.from || undefined,
+      endDate: options.to || undefined,
+      sampleCount: options.sampleCount
+    });
+  }
+  process.stdout.write(`${output}\n`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  process.stderr.write(`whatsapp-insights: ${error.message}\n`);
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    process.stderr.write(`\n${USAGE}`);
+  }
+  process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+import { parseChat, buildStatisticsIndex, mergeChatExports } from './chatParser.js';
+
+// The parse/compute pipeline as named tasks, so the same code runs inside
+// analysisWorker.js and on the main thread when workers are unavailable.
+// `reportProgress(phase, ratio)` receives values between 0 and 1 per phase.
+export function runAnalysisTask(task, payload = {}, reportProgress = () => {}) {
+  switch (task) {
+    case 'parse':
+      return parseChat(payload.text, {
+        ...payload.options,
+        onProgress: (ratio) => reportProgress('parse', ratio)
+      });
+    case 'merge': {
+      // Each export is parsed on its own so every file gets its own format detection.
+      const { sources } = payload;
+      const exports = sources.map((source, position) => ({
+        name: source.name,
+        result: parseChat(source.text, {
+          ...payload.options,
+          onProgress: (ratio) => reportProgress('parse', (position + ratio) / sources.length)
+        })
+      }));
+      return mergeChatExports(exports);
+    }
+    case 'index':
+      return buildStatisticsIndex(payload.messages, {
+        ...payload.options,
+        onProgress: (ratio) => reportProgress('index', ratio)
+      });
+    default:
+      throw new Error(`Unknown analysis task: ${task}`);
+  }
+}
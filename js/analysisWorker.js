@@ -0,0 +1,17 @@
+import { runAnalysisTask } from './analysisTasks.js';
+
+// Module worker that runs parsing and statistics off the main thread. Each request
+// carries an id that is echoed back on progress, result and error messages.
+self.addEventListener('message', (event) => {
+  const { id, task, payload } = event.data || {};
+  const reportProgress = (phase, ratio) => {
+    self.postMessage({ id, type: 'progress', phase, ratio });
+  };
+
+  try {
+    const result = runAnalysisTask(task, payload, reportProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message || 'Analysis failed.' });
+  }
+});
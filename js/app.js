@@ -1,29 +1,98 @@
 import {
-  parseChat,
-  computeStatistics,
   filterMessagesByDate,
-  generateMarkdownSummary
+  queryStatisticsIndex,
+  generateMarkdownSummary,
+  describeGroupEvent,
+  formatMediaBreakdown,
+  detectChatTranscript,
+  buildLocationsGeoJSON,
+  serializeAnalysis,
+  parseAnalysisExport,
+  buildMessagesCsv,
+  buildDailyActivityCsv,
+  buildParticipationCsv,
+  formatCallDuration,
+  buildActivityTimeline,
+  buildCalendarHeatmap,
+  parseDateInput,
+  describeChronotypes,
+  DEFAULT_SESSION_GAP_MINUTES,
+  WEEKDAY_LABELS,
+  GROUP_EVENT_LABELS,
+  MEDIA_KIND_LABELS
 } from './chatParser.js';
 import { COMMON_ENGLISH_WORDS } from './commonWords.js';
-
+import { runAnalysisTask } from './analysisTasks.js';
+import { buildHtmlReport } from './htmlReport.js';
+import { escapeHtml } from './escapeHtml.js';
+import { applyPrivacy, parseAliasList, parseCustomPatterns } from './privacy.js';
+import { buildReplyEdges, layoutNetwork } from './networkLayout.js';
+import {
+  applyParticipantMapping,
+  createEmptyMapping,
+  getChatStorageKey,
+  listParticipants,
+  loadParticipantMapping,
+  resolveParticipant,
+  saveParticipantMapping,
+  suggestParticipantMerges
+} from './participants.js';
+import {
+  LANGUAGE_PACKS,
+  DEFAULT_LANGUAGE_PACK_ID,
+  getLanguagePack,
+  extractAttachmentName,
+  classifyAttachment
+} from './languagePacks.js';
+
+let sourceMessages = [];
+let participantMapping = createEmptyMapping();
+let chatStorageKey = null;
 let allMessages = [];
 let filteredMessages = [];
 let stats = null;
 let fullStats = null;
+let statisticsIndex = null;
+let activeRange = { startDate: null, endDate: null };
 let participantsChart = null;
 let hourlyChart = null;
 let wordsChart = null;
+let mediaChart = null;
+let timelineChart = null;
+let timelineGranularity = 'day';
 let activeDateFormat = 'DMY';
-let rawChatText = '';
+let activeHeaderPattern = null;
+let detectedLanguagePack = null;
+let selectedLanguagePack = null;
+let chatSources = [];
+let transcriptCandidates = [];
+let selectedTranscripts = [];
+let mergeSummary = null;
+let droppedDateCount = 0;
+let mediaEntries = new Map();
+let galleryItems = [];
+let galleryObjectUrls = [];
+let galleryObserver = null;
+let galleryLimit = 0;
+let galleryInputs = null;
+let analysisWorker = null;
+let analysisWorkerUnavailable = false;
+let analysisRequestId = 0;
+let pendingAnalysis = null;
+let fileLoadId = 0;
 
 const fileInput = document.getElementById('chat-file');
+const folderInput = document.getElementById('chat-folder');
 const fileHelper = document.getElementById('file-helper');
 const loadStatus = document.getElementById('load-status');
 const dateFormatChooser = document.createElement('div');
+const parseReport = document.createElement('details');
+const transcriptChooser = document.createElement('div');
 const startDateInput = document.getElementById('start-date');
 const endDateInput = document.getElementById('end-date');
 const applyRangeButton = document.getElementById('apply-range');
 const resetRangeButton = document.getElementById('reset-range');
+const languagePackSelect = document.getElementById('language-pack-select');
 const summaryCardsContainer = document.getElementById('summary-cards');
 const topWordsList = document.getElementById('top-words');
 const topWordsIgnoreCommonToggle = document.getElementById('top-words-ignore-common');
@@ -35,6 +104,31 @@ const topEmojisList = document.getElementById('top-emojis');
 const insightList = document.getElementById('insight-list');
 const responseTimesList = document.getElementById('response-times');
 const longestMessagesList = document.getElementById('longest-messages');
+const groupHistoryList = document.getElementById('group-history');
+const pollList = document.getElementById('poll-list');
+const callSummary = document.getElementById('call-summary');
+const callList = document.getElementById('call-list');
+const calendarParticipantSelect = document.getElementById('calendar-participant');
+const calendarHeatmap = document.getElementById('calendar-heatmap');
+const weekdayHourParticipantSelect = document.getElementById('weekday-hour-participant');
+const weekdayHourHeatmap = document.getElementById('weekday-hour-heatmap');
+const timelineGranularityButtons = Array.from(document.querySelectorAll('[data-granularity]'));
+const timelineRollingToggle = document.getElementById('timeline-rolling');
+const timelineStackedToggle = document.getElementById('timeline-stacked');
+const sessionGapInput = document.getElementById('session-gap');
+const sessionSummary = document.getElementById('session-summary');
+const sessionList = document.getElementById('session-list');
+const locationList = document.getElementById('location-list');
+const replyMatrixContainer = document.getElementById('reply-matrix');
+const replyNetworkCanvas = document.getElementById('reply-network');
+const locationPlot = document.getElementById('location-plot');
+const mediaBreakdownList = document.getElementById('media-breakdown');
+const editActivityList = document.getElementById('edit-activity');
+const mediaGalleryGrid = document.getElementById('media-gallery');
+const galleryParticipantSelect = document.getElementById('gallery-participant');
+const galleryKindSelect = document.getElementById('gallery-kind');
+const galleryMoreButton = document.getElementById('gallery-more');
+const galleryContext = document.getElementById('gallery-context');
 const responseGapInput = document.getElementById('response-gap-limit');
 const responseOvernightToggle = document.getElementById('response-overnight-toggle');
 const responseOvernightMinutesInput = document.getElementById('response-overnight-minutes');
@@ -42,8 +136,52 @@ const responseCutoffNote = document.getElementById('response-cutoff-note');
 const mdTitleInput = document.getElementById('md-title');
 const sampleCountInput = document.getElementById('sample-count');
 const generateMdButton = document.getElementById('generate-md');
+const downloadAnalysisButton = document.getElementById('download-analysis');
+const privacyToggle = document.getElementById('privacy-toggle');
+const privacyPhonesToggle = document.getElementById('privacy-phones');
+const privacyEmailsToggle = document.getElementById('privacy-emails');
+const privacyUrlsToggle = document.getElementById('privacy-urls');
+const privacyAliasesInput = document.getElementById('privacy-aliases');
+const privacyPatternsInput = document.getElementById('privacy-patterns');
+const privacyApplyButton = document.getElementById('privacy-apply');
+const participantManager = document.getElementById('participant-manager');
+const participantSuggestions = document.getElementById('participant-suggestions');
+const participantNamesList = document.getElementById('participant-names');
+const participantApplyButton = document.getElementById('participant-apply');
+const participantResetButton = document.getElementById('participant-reset');
+const downloadHtmlReportButton = document.getElementById('download-html-report');
+const downloadMessagesCsvButton = document.getElementById('download-messages-csv');
+const downloadDailyCsvButton = document.getElementById('download-daily-csv');
+const downloadParticipantsCsvButton = document.getElementById('download-participants-csv');
+const downloadGeoJsonButton = document.getElementById('download-geojson');
 const mdPreview = document.getElementById('md-preview');
 
+const GALLERY_PAGE_SIZE = 48;
+const ANALYSIS_PHASE_LABELS = {
+  parse: 'Parsing chat',
+  index: 'Indexing statistics'
+};
+const MEDIA_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  '3gp': 'video/3gpp',
+  webm: 'video/webm',
+  opus: 'audio/ogg',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  pdf: 'application/pdf',
+  vcf: 'text/vcard'
+};
+
 let selectedParticipantForWords = null;
 let ignoreCommonTopWords = false;
 
@@ -52,26 +190,109 @@ dateFormatChooser.className = 'date-format-chooser';
 dateFormatChooser.hidden = true;
 loadStatus.insertAdjacentElement('afterend', dateFormatChooser);
 
-async function loadChatFile(file) {
-  if (!file) return null;
+transcriptChooser.id = 'transcript-chooser';
+transcriptChooser.className = 'date-format-chooser transcript-chooser';
+transcriptChooser.hidden = true;
+dateFormatChooser.insertAdjacentElement('afterend', transcriptChooser);
+
+parseReport.id = 'parse-report';
+parseReport.className = 'date-format-chooser parse-report';
+parseReport.hidden = true;
+loadStatus.insertAdjacentElement('afterend', parseReport);
+
+function isHiddenArchiveEntry(baseName) {
+  return baseName.startsWith('._') || baseName === '.DS_Store';
+}
 
-  if (file.name.toLowerCase().endsWith('.zip')) {
-    const arrayBuffer = await file.arrayBuffer();
-    const zip = await JSZip.loadAsync(arrayBuffer);
-    const txtFileName = Object.keys(zip.files).find((name) => {
-      const baseName = name.split('/').pop() || name;
-      if (baseName.startsWith('._')) {
-        return false;
+// Wraps an uploaded File so gallery code can read it the same way as a JSZip entry.
+function wrapFileAsEntry(file) {
+  return {
+    name: file.name,
+    async: () => Promise.resolve(file)
+  };
+}
+
+// Collects every .txt transcript candidate from the uploaded files (zip archives, plain
+// text files or a whole folder) and keeps all other files keyed by name so attachment
+// references in messages can be matched to the bundled media.
+async function loadChatSources(files) {
+  const textSources = [];
+  const entries = new Map();
+
+  // Every export of an iOS chat is called _chat.txt, so archive entries are prefixed
+  // with the archive name once several files are selected.
+  const multipleArchives = files.filter((file) => file.name.toLowerCase().endsWith('.zip')).length > 1;
+
+  for (const file of files) {
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      const arrayBuffer = await file.arrayBuffer();
+      const zip = await JSZip.loadAsync(arrayBuffer);
+      for (const entry of Object.values(zip.files)) {
+        const baseName = entry.name.split('/').pop() || entry.name;
+        if (entry.dir || isHiddenArchiveEntry(baseName)) continue;
+        if (baseName.toLowerCase().endsWith('.txt')) {
+          textSources.push({
+            name: multipleArchives ? `${file.name}/${entry.name}` : entry.name,
+            origin: file.name,
+            read: () => entry.async('string')
+          });
+        } else {
+          entries.set(baseName, entry);
+        }
       }
-      return baseName.toLowerCase().endsWith('.txt');
-    });
-    if (!txtFileName) {
-      throw new Error('No .txt file found inside the zip archive.');
+    } else if (file.name.toLowerCase().endsWith('.txt')) {
+      const name = file.webkitRelativePath || file.name;
+      textSources.push({ name, origin: name.includes('/') ? name.split('/')[0] : name, read: () => file.text() });
+    } else if (!isHiddenArchiveEntry(file.name)) {
+      entries.set(file.name, wrapFileAsEntry(file));
     }
-    return zip.files[txtFileName].async('string');
   }
 
-  return file.text();
+  if (!textSources.length) {
+    throw new Error('No .txt chat transcript found in the selected files.');
+  }
+
+  const candidates = [];
+  const rejected = [];
+  for (const source of textSources) {
+    const text = await source.read();
+    const { headerCount, headerPattern } = detectChatTranscript(text);
+    if (headerCount > 0) {
+      candidates.push({ name: source.name, origin: source.origin, text, headerCount, headerPattern });
+    } else {
+      rejected.push(source.name);
+    }
+  }
+
+  if (!candidates.length) {
+    throw new Error(`No WhatsApp chat transcript found. Checked ${rejected.length} text file${rejected.length === 1 ? '' : 's'} without recognisable message headers: ${rejected.join(', ')}.`);
+  }
+
+  // Prefer WhatsApp's own transcript names, then the file with the most headers.
+  candidates.sort((a, b) => {
+    const aPreferred = /(^|\/)(_chat|WhatsApp Chat[^/]*)\.txt$/i.test(a.name);
+    const bPreferred = /(^|\/)(_chat|WhatsApp Chat[^/]*)\.txt$/i.test(b.name);
+    if (aPreferred !== bPreferred) return aPreferred ? -1 : 1;
+    return b.headerCount - a.headerCount;
+  });
+
+  return {
+    candidates,
+    rejected,
+    mediaEntries: entries
+  };
+}
+
+// The preferred transcript of every uploaded archive, loose text file or exported
+// folder, so selecting several exports of the same chat merges them straight away.
+function getDefaultTranscripts(candidates) {
+  const chosen = new Map();
+  for (const candidate of candidates) {
+    if (!chosen.has(candidate.origin)) {
+      chosen.set(candidate.origin, candidate.name);
+    }
+  }
+  return Array.from(chosen.values());
 }
 
 function formatDateForInput(date) {
@@ -103,21 +324,10 @@ function formatDateTimeFriendly(date) {
 }
 
 function describeDateFormat(format) {
+  if (format === 'YMD') return 'year/month/day';
   return format === 'MDY' ? 'month/day/year' : 'day/month/year';
 }
 
-function escapeHtml(text) {
-  if (text === null || typeof text === 'undefined') {
-    return '';
-  }
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
-
 function escapeSelector(value) {
   if (value === null || typeof value === 'undefined') {
     return '';
@@ -159,6 +369,23 @@ function getResponseOptions() {
   };
 }
 
+function getActiveLanguagePackId() {
+  return selectedLanguagePack || detectedLanguagePack || undefined;
+}
+
+function renderLanguagePackOptions() {
+  if (!languagePackSelect) return;
+
+  const detected = getLanguagePack(detectedLanguagePack);
+  const autoLabel = detected ? `Auto-detect (${detected.label})` : 'Auto-detect';
+  const options = [`<option value="">${escapeHtml(autoLabel)}</option>`];
+  for (const pack of LANGUAGE_PACKS) {
+    options.push(`<option value="${escapeHtml(pack.id)}">${escapeHtml(pack.label)}</option>`);
+  }
+  languagePackSelect.innerHTML = options.join('');
+  languagePackSelect.value = selectedLanguagePack || '';
+}
+
 function syncResponseControlState() {
   if (!responseGapInput || !responseOvernightToggle || !responseOvernightMinutesInput) {
     return;
@@ -206,18 +433,297 @@ function renderDateFormatChooser(parseResult) {
   dateFormatChooser.appendChild(buttonGroup);
 }
 
+const PARSE_REPORT_SECTIONS = [
+  {
+    key: 'orphanLines',
+    label: (count) => `${count} line${count === 1 ? '' : 's'} before the first message header`,
+    hint: 'These lines could not be attached to any message and were ignored.'
+  },
+  {
+    key: 'invalidDates',
+    label: (count) => `${count} message${count === 1 ? '' : 's'} dropped for invalid dates`,
+    hint: 'The header matched but its date does not exist in the chosen day/month order.'
+  },
+  {
+    key: 'outOfOrder',
+    label: (count) => `${count} out-of-order timestamp${count === 1 ? '' : 's'}`,
+    hint: 'These messages are dated earlier than the message before them, which can point to a wrong day/month order.'
+  }
+];
+
+const DATE_CONFIDENCE_LABELS = {
+  certain: 'certain',
+  likely: 'likely',
+  low: 'low',
+  override: 'set manually'
+};
+
+function hideParseReport() {
+  droppedDateCount = 0;
+  parseReport.hidden = true;
+  parseReport.open = false;
+  parseReport.innerHTML = '';
+}
+
+function renderParseReport(diagnostics) {
+  if (!diagnostics) {
+    hideParseReport();
+    return;
+  }
+
+  droppedDateCount = diagnostics.invalidDates?.count || 0;
+  const issues = PARSE_REPORT_SECTIONS.filter(({ key }) => diagnostics[key]?.count);
+  const confidence = diagnostics.dateFormat;
+  const summaryParts = issues.length
+    ? issues.map(({ key, label }) => label(diagnostics[key].count))
+    : ['no problems found'];
+  if (confidence) {
+    summaryParts.push(`date order confidence: ${DATE_CONFIDENCE_LABELS[confidence.level] || confidence.level}`);
+  }
+
+  const sections = issues.map(({ key, label, hint }) => {
+    const { count, samples } = diagnostics[key];
+    const items = samples
+      .map((sample) => {
+        const previous = sample.previousLine ? ` <span class="parse-report-meta">(after line ${sample.previousLine})</span>` : '';
+        const location = sample.file ? `${escapeHtml(sample.file)}, line` : 'Line';
+        return `<li><span class="parse-report-line">${location} ${sample.line.toLocaleString()}</span><code>${escapeHtml(sample.snippet)}</code>${previous}</li>`;
+      })
+      .join('');
+    const more = count > samples.length ? `<p class="parse-report-meta">…and ${(count - samples.length).toLocaleString()} more.</p>` : '';
+    return `<section><h4>${escapeHtml(label(count))}</h4><p>${hint}</p><ul>${items}</ul>${more}</section>`;
+  });
+  if (confidence) {
+    sections.push(`<section><h4>Date format: ${describeDateFormat(confidence.format)} (${DATE_CONFIDENCE_LABELS[confidence.level] || confidence.level})</h4><p>${escapeHtml(confidence.reason)}</p></section>`);
+  }
+  parseReport.hidden = false;
+  parseReport.classList.toggle('has-issues', issues.length > 0 || confidence?.level === 'low');
+  parseReport.innerHTML = `<summary>Parse report: ${escapeHtml(summaryParts.join(' · '))}</summary>${sections.join('')}`;
+}
+
+function hideTranscriptChooser() {
+  transcriptChooser.hidden = true;
+  transcriptChooser.innerHTML = '';
+}
+
+function renderTranscriptChooser() {
+  if (transcriptCandidates.length < 2) {
+    hideTranscriptChooser();
+    return;
+  }
+
+  transcriptChooser.hidden = false;
+  transcriptChooser.innerHTML = '';
+
+  const info = document.createElement('p');
+  info.textContent = `Found ${transcriptCandidates.length} chat transcripts. Choose which to analyse:`;
+  transcriptChooser.appendChild(info);
+
+  const list = document.createElement('div');
+  list.className = 'transcript-choices';
+  transcriptCandidates.forEach((candidate) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = candidate.name;
+    checkbox.checked = selectedTranscripts.includes(candidate.name);
+    const text = document.createElement('span');
+    const patternNote = candidate.headerPattern ? ` · ${candidate.headerPattern.label}` : '';
+    text.textContent = `${candidate.name} (${candidate.headerCount.toLocaleString()}+ messages detected${patternNote})`;
+    label.append(checkbox, text);
+    list.appendChild(label);
+  });
+  transcriptChooser.appendChild(list);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = 'Analyse selected';
+  button.addEventListener('click', () => {
+    const chosen = Array.from(list.querySelectorAll('input:checked')).map((input) => input.value);
+    if (!chosen.length) {
+      showError('Select at least one transcript to analyse.');
+      return;
+    }
+    loadSelectedTranscripts(chosen);
+  });
+  transcriptChooser.appendChild(button);
+
+  if (mergeSummary) {
+    const summary = document.createElement('ul');
+    summary.className = 'merge-summary';
+    summary.innerHTML = mergeSummary
+      .map((source) => {
+        const range = source.firstMessageDate
+          ? ` · ${formatDateFriendly(source.firstMessageDate)} → ${formatDateFriendly(source.lastMessageDate)}`
+          : '';
+        const duplicates = source.duplicates
+          ? `, ${source.duplicates.toLocaleString()} already in an earlier export`
+          : '';
+        return `<li><strong>${escapeHtml(source.name)}</strong>: ${source.added.toLocaleString()} of ${source.total.toLocaleString()} messages added${duplicates}${escapeHtml(range)}</li>`;
+      })
+      .join('');
+    transcriptChooser.appendChild(summary);
+  }
+}
+
+// Several selected transcripts are parsed separately and merged with duplicates removed.
+// A language chosen in the selector replaces detection, since placeholders and edit
+// markers are recognised while parsing.
+function parseChatSources(options = {}) {
+  const parseOptions = { languagePack: selectedLanguagePack || undefined, ...options };
+  if (chatSources.length === 1) {
+    return runAnalysis('parse', { text: chatSources[0].text, options: parseOptions });
+  }
+  return runAnalysis('merge', { sources: chatSources, options: parseOptions });
+}
+
+async function loadSelectedTranscripts(names) {
+  selectedTranscripts = names;
+  chatSources = transcriptCandidates
+    .filter((candidate) => names.includes(candidate.name))
+    .map(({ name, text }) => ({ name, text }));
+
+  try {
+    const parseResult = await parseChatSources();
+    await processParsedChat(parseResult);
+    renderTranscriptChooser();
+  } catch (error) {
+    reportAnalysisError(error, 'Something went wrong while parsing the chat.');
+  }
+}
+
+function createAnalysisWorker() {
+  if (analysisWorkerUnavailable || typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('Web Worker unavailable, analysing on the main thread.', error);
+    analysisWorkerUnavailable = true;
+    return null;
+  }
+}
+
+function createCancellationError() {
+  const error = new Error('Analysis cancelled.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Stops the running parse or statistics job. A synchronous job cannot be interrupted
+// from outside, so the worker is terminated and a fresh one is created on demand.
+function cancelAnalysis() {
+  if (!pendingAnalysis) return;
+  pendingAnalysis.reject(createCancellationError());
+  pendingAnalysis = null;
+  analysisWorker?.terminate();
+  analysisWorker = null;
+}
+
+function runAnalysisInline(task, payload) {
+  return new Promise((resolve) => {
+    resolve(runAnalysisTask(task, payload, showAnalysisProgress));
+  });
+}
+
+// Runs a task from analysisTasks.js in the worker, falling back to the main thread when
+// module workers are unavailable (e.g. when the page is opened from file://). Starting a
+// new task cancels the previous one, whose promise rejects with an AbortError.
+function runAnalysis(task, payload) {
+  cancelAnalysis();
+  analysisWorker = analysisWorker || createAnalysisWorker();
+  if (!analysisWorker) {
+    return runAnalysisInline(task, payload);
+  }
+
+  const worker = analysisWorker;
+  analysisRequestId += 1;
+  const id = analysisRequestId;
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      worker.removeEventListener('message', handleMessage);
+      worker.removeEventListener('error', handleError);
+      if (pendingAnalysis?.id === id) {
+        pendingAnalysis = null;
+      }
+    };
+    const handleMessage = (event) => {
+      const data = event.data || {};
+      if (data.id !== id) return;
+      if (data.type === 'progress') {
+        showAnalysisProgress(data.phase, data.ratio);
+        return;
+      }
+      finish();
+      if (data.type === 'result') {
+        resolve(data.result);
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    const handleError = (event) => {
+      event.preventDefault();
+      finish();
+      console.warn('Analysis worker failed to start, analysing on the main thread.', event.message);
+      analysisWorkerUnavailable = true;
+      worker.terminate();
+      analysisWorker = null;
+      runAnalysisInline(task, payload).then(resolve, reject);
+    };
+
+    pendingAnalysis = { id, reject };
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    worker.postMessage({ id, task, payload });
+  });
+}
+
+function showAnalysisProgress(phase, ratio) {
+  const percent = Math.round(Math.min(1, Math.max(0, ratio)) * 100);
+  let label = loadStatus.querySelector('.analysis-progress-label');
+  let progress = loadStatus.querySelector('progress');
+  if (!label || !progress) {
+    loadStatus.textContent = '';
+    loadStatus.classList.remove('error');
+    label = document.createElement('span');
+    label.className = 'analysis-progress-label';
+    progress = document.createElement('progress');
+    progress.className = 'analysis-progress';
+    progress.max = 100;
+    loadStatus.append(label, progress);
+  }
+  label.textContent = `${ANALYSIS_PHASE_LABELS[phase] || 'Analysing chat'}… ${percent}%`;
+  progress.value = percent;
+}
+
+function reportAnalysisError(error, fallbackMessage) {
+  if (error?.name === 'AbortError') return;
+  console.error(error);
+  showError(error.message || fallbackMessage);
+}
+
 function updateLoadSuccessMessage() {
   if (!stats) return;
   const description = describeDateFormat(activeDateFormat);
-  loadStatus.textContent = `Loaded ${stats.totalMessages.toLocaleString()} messages from ${stats.participants.length} participants (dates interpreted as ${description}).`;
+  const headerNote = activeHeaderPattern ? `; header format: ${activeHeaderPattern.label}` : '';
+  const languagePack = getLanguagePack(stats.languagePack);
+  const languageNote = languagePack ? `; language: ${languagePack.label}` : '';
+  const duplicateCount = mergeSummary ? mergeSummary.reduce((sum, source) => sum + source.duplicates, 0) : 0;
+  const duplicateNote = duplicateCount ? `, ${duplicateCount.toLocaleString()} duplicates skipped` : '';
+  const transcriptNote = mergeSummary ? ` merged from ${mergeSummary.length} exports${duplicateNote}` : '';
+  loadStatus.textContent = `Loaded ${stats.totalMessages.toLocaleString()} messages from ${stats.participants.length} participants${transcriptNote} (dates interpreted as ${description}${headerNote}${languageNote}).`;
+  // A wrong day/month order turns many dates into impossible ones, so say so up front.
+  if (droppedDateCount) {
+    loadStatus.textContent += ` ${droppedDateCount.toLocaleString()} message${droppedDateCount === 1 ? ' was' : 's were'} dropped because ${droppedDateCount === 1 ? 'its date does' : 'their dates do'} not exist in this date order; see the parse report.`;
+  }
 }
 
-function updateSummaryCards(currentStats) {
+function getSummaryCards(currentStats) {
   const averageWords = currentStats.overallAverageWordsPerMessage;
   const averageWordsLabel = typeof averageWords === 'number' && averageWords > 0
     ? averageWords.toLocaleString(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
     : '0';
-  const cards = [
+  return [
     {
       title: 'Messages',
       value: currentStats.totalMessages.toLocaleString(),
@@ -241,7 +747,12 @@ function updateSummaryCards(currentStats) {
     {
       title: 'Media shared',
       value: currentStats.mediaCount.toLocaleString(),
-      hint: 'Messages detected as photos, videos, voice notes, etc.'
+      hint: escapeHtml(formatMediaBreakdown(currentStats.mediaByKind)) || 'Messages detected as photos, videos, voice notes, etc.'
+    },
+    {
+      title: 'Deleted / edited',
+      value: `${(currentStats.deletedCount || 0).toLocaleString()} / ${(currentStats.editedCount || 0).toLocaleString()}`,
+      hint: 'Deleted messages and edits, excluded from word counts.'
     },
     {
       title: 'First message',
@@ -254,8 +765,10 @@ function updateSummaryCards(currentStats) {
       hint: 'Within the selected range.'
     }
   ];
+}
 
-  summaryCardsContainer.innerHTML = cards
+function updateSummaryCards(currentStats) {
+  summaryCardsContainer.innerHTML = getSummaryCards(currentStats)
     .map((card) => `
       <article class="stat-card">
         <h3>${card.title}</h3>
@@ -266,7 +779,7 @@ function updateSummaryCards(currentStats) {
     .join('');
 }
 
-function renderChart({ elementId, labels, data, label, color, chartRef, datasets, type = 'bar', options = {} }) {
+function renderChart({ elementId, labels, data, label, color, chartRef, datasets, type = 'bar', options = {}, plugins = [] }) {
   const ctx = document.getElementById(elementId);
   if (!ctx) return null;
 
@@ -366,11 +879,180 @@ function renderChart({ elementId, labels, data, label, color, chartRef, datasets
       labels,
       datasets: resolvedDatasets
     },
-    options: mergedOptions
+    options: mergedOptions,
+    plugins
+  });
+}
+
+const MEDIA_KIND_COLORS = {
+  photo: 'rgba(56, 189, 248, 0.75)',
+  video: 'rgba(129, 140, 248, 0.75)',
+  voice: 'rgba(34, 197, 94, 0.75)',
+  sticker: 'rgba(250, 204, 21, 0.75)',
+  gif: 'rgba(244, 114, 182, 0.75)',
+  document: 'rgba(251, 146, 60, 0.75)',
+  contact: 'rgba(45, 212, 191, 0.75)',
+  location: 'rgba(248, 113, 113, 0.75)',
+  other: 'rgba(148, 163, 184, 0.75)'
+};
+
+function buildMediaTimeline(currentStats) {
+  const months = new Map();
+  for (const [dateKey, kinds] of currentStats.mediaByDate || []) {
+    const monthKey = dateKey.slice(0, 7);
+    if (!months.has(monthKey)) {
+      months.set(monthKey, {});
+    }
+    const bucket = months.get(monthKey);
+    for (const [kind, count] of Object.entries(kinds)) {
+      bucket[kind] = (bucket[kind] || 0) + count;
+    }
+  }
+  const labels = Array.from(months.keys()).sort();
+  const kinds = Object.keys(MEDIA_KIND_LABELS).filter((kind) => currentStats.mediaByKind?.[kind]);
+  const datasets = kinds.map((kind) => ({
+    label: MEDIA_KIND_LABELS[kind].plural,
+    data: labels.map((month) => months.get(month)[kind] || 0),
+    backgroundColor: MEDIA_KIND_COLORS[kind],
+    borderRadius: 4,
+    stack: 'media'
+  }));
+  return { labels, datasets };
+}
+
+const TIMELINE_STACK_LIMIT = 8;
+
+function formatTimelineLabel(key, granularity) {
+  if (granularity === 'month') {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  return granularity === 'week' ? `Week of ${key}` : key;
+}
+
+// Draws the busiest-day line and the longest-streak band behind the bars; Chart.js has
+// no built-in annotations and the CDN build ships without the annotation plugin.
+function createTimelineMarkerPlugin(markers) {
+  return {
+    id: 'timelineMarkers',
+    beforeDatasetsDraw(chart) {
+      const { ctx, chartArea, scales } = chart;
+      const x = scales.x;
+      const halfStep = chart.data.labels.length > 1
+        ? Math.abs(x.getPixelForValue(1) - x.getPixelForValue(0)) / 2
+        : chartArea.width / 2;
+      ctx.save();
+      if (markers.streak && markers.streak.start !== null && markers.streak.end !== null) {
+        const left = x.getPixelForValue(markers.streak.start) - halfStep;
+        const right = x.getPixelForValue(markers.streak.end) + halfStep;
+        ctx.fillStyle = 'rgba(52, 211, 153, 0.12)';
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        ctx.fillStyle = 'rgba(52, 211, 153, 0.9)';
+        ctx.font = '12px Inter, system-ui, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText('Longest streak', Math.max(chartArea.left, left) + 4, chartArea.top + 12);
+      }
+      if (markers.busiestDay !== null) {
+        const position = x.getPixelForValue(markers.busiestDay);
+        ctx.strokeStyle = 'rgba(250, 204, 21, 0.9)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(position, chartArea.top);
+        ctx.lineTo(position, chartArea.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = 'rgba(250, 204, 21, 0.9)';
+        ctx.font = '12px Inter, system-ui, sans-serif';
+        ctx.textAlign = position > chartArea.right - 80 ? 'right' : 'left';
+        ctx.fillText('Busiest day', position + (ctx.textAlign === 'right' ? -4 : 4), chartArea.top + 28);
+      }
+      ctx.restore();
+    }
+  };
+}
+
+function renderTimelineChart(currentStats) {
+  const timeline = buildActivityTimeline(currentStats, {
+    granularity: timelineGranularity,
+    rollingAverage: Boolean(timelineRollingToggle?.checked)
+  });
+  const stacked = Boolean(timelineStackedToggle?.checked) && currentStats.participants.length > 1;
+
+  let datasets;
+  if (stacked) {
+    const shown = currentStats.participants.slice(0, TIMELINE_STACK_LIMIT);
+    datasets = shown.map((participant) => ({
+      label: participant,
+      data: timeline.byParticipant[participant],
+      backgroundColor: getParticipantColor(currentStats, participant),
+      stack: 'messages',
+      order: 2
+    }));
+    const others = currentStats.participants.slice(TIMELINE_STACK_LIMIT);
+    if (others.length) {
+      datasets.push({
+        label: `${others.length} others`,
+        data: timeline.totals.map((total, index) => total - shown.reduce((sum, participant) => sum + timeline.byParticipant[participant][index], 0)),
+        backgroundColor: 'rgba(148, 163, 184, 0.6)',
+        stack: 'messages',
+        order: 2
+      });
+    }
+  } else {
+    datasets = [{
+      label: 'Messages',
+      data: timeline.totals,
+      backgroundColor: 'rgba(56, 189, 248, 0.65)',
+      stack: 'messages',
+      order: 2
+    }];
+  }
+  if (timeline.rollingAverage) {
+    datasets.push({
+      type: 'line',
+      label: 'Rolling average',
+      data: timeline.rollingAverage,
+      borderColor: 'rgba(244, 114, 182, 0.95)',
+      backgroundColor: 'rgba(244, 114, 182, 0.35)',
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.3,
+      stack: 'average',
+      order: 1
+    });
+  }
+
+  timelineChart = renderChart({
+    elementId: 'timeline-chart',
+    labels: timeline.labels.map((key) => formatTimelineLabel(key, timeline.granularity)),
+    datasets,
+    chartRef: timelineChart,
+    options: {
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true }
+      },
+      plugins: {
+        legend: { display: datasets.length > 1 }
+      }
+    },
+    plugins: [createTimelineMarkerPlugin(timeline.markers)]
+  });
+}
+
+function setTimelineGranularity(granularity) {
+  timelineGranularity = granularity;
+  timelineGranularityButtons.forEach((button) => {
+    button.setAttribute('aria-pressed', String(button.dataset.granularity === granularity));
   });
+  if (stats) {
+    renderTimelineChart(stats);
+  }
 }
 
 function updateCharts(currentStats) {
+  renderTimelineChart(currentStats);
+
   const participantLabels = currentStats.participants;
   const participantData = participantLabels.map((participant) => currentStats.messageCountByParticipant[participant]);
 
@@ -472,103 +1154,827 @@ function updateCharts(currentStats) {
       }
     }
   });
+
+  const mediaTimeline = buildMediaTimeline(currentStats);
+  mediaChart = renderChart({
+    elementId: 'media-chart',
+    labels: mediaTimeline.labels,
+    datasets: mediaTimeline.datasets.length
+      ? mediaTimeline.datasets
+      : [{ label: 'Media', data: [], backgroundColor: MEDIA_KIND_COLORS.other }],
+    chartRef: mediaChart,
+    options: {
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true }
+      },
+      plugins: {
+        legend: {
+          display: mediaTimeline.datasets.length > 1
+        }
+      }
+    }
+  });
+}
+
+function updateTopList(container, items, formatter, emptyMessage = 'No data yet') {
+  if (!items.length) {
+    container.innerHTML = `<li>${emptyMessage}</li>`;
+    return;
+  }
+
+  container.innerHTML = items
+    .map((item) => `<li>${formatter(item)}</li>`)
+    .join('');
+}
+
+function getTopWordEntries(currentStats, { ignoreCommon = false } = {}) {
+  if (!currentStats) {
+    return [];
+  }
+
+  const hasFrequency = currentStats.wordFrequency && typeof currentStats.wordFrequency === 'object';
+
+  if (hasFrequency) {
+    let entries = Object.entries(currentStats.wordFrequency);
+    if (ignoreCommon) {
+      entries = entries.filter(([word]) => !COMMON_ENGLISH_WORDS.has(word));
+    }
+    return entries
+      .sort((a, b) => {
+        if (b[1] !== a[1]) {
+          return b[1] - a[1];
+        }
+        return a[0].localeCompare(b[0]);
+      })
+      .slice(0, 15);
+  }
+
+  let entries = Array.isArray(currentStats.topWords)
+    ? currentStats.topWords.map(([word, count]) => [word, count])
+    : [];
+  if (ignoreCommon) {
+    entries = entries.filter(([word]) => !COMMON_ENGLISH_WORDS.has(word));
+  }
+  return entries.slice(0, 15);
+}
+
+function renderTopWords(currentStats) {
+  if (!topWordsList) return;
+  const entries = getTopWordEntries(currentStats, { ignoreCommon: ignoreCommonTopWords });
+  updateTopList(
+    topWordsList,
+    entries,
+    ([word, count]) => `<span>${escapeHtml(word)}</span><span>${count}</span>`,
+    'No words yet'
+  );
+}
+
+function renderLongestMessages(currentStats) {
+  if (!longestMessagesList) return;
+
+  if (!currentStats.participants.length) {
+    longestMessagesList.innerHTML = '<li class="empty">No participants yet</li>';
+    return;
+  }
+
+  const entries = currentStats.participants.map((participant) => {
+    const record = currentStats.longestMessageByParticipant?.[participant];
+    if (!record) {
+      return `
+        <li>
+          <div class="longest-message-header">
+            <span class="participant-name">${escapeHtml(participant)}</span>
+            <span class="message-length">No qualifying message</span>
+          </div>
+          <div class="longest-message-meta">—</div>
+          <p class="longest-message-snippet">No qualifying messages yet.</p>
+        </li>
+      `;
+    }
+
+    const descriptor = record.wordCount
+      ? `${record.wordCount.toLocaleString()} ${record.wordCount === 1 ? 'word' : 'words'}`
+      : `${record.charCount.toLocaleString()} chars`;
+    const timestampLabel = formatDateTimeFriendly(record.timestamp instanceof Date ? record.timestamp : new Date(record.timestamp));
+    const snippet = formatSnippet(record.content);
+
+    return `
+      <li>
+        <div class="longest-message-header">
+          <span class="participant-name">${escapeHtml(participant)}</span>
+          <span class="message-length">${escapeHtml(descriptor)}</span>
+        </div>
+        <div class="longest-message-meta">${escapeHtml(timestampLabel)}</div>
+        <p class="longest-message-snippet">${escapeHtml(snippet)}</p>
+      </li>
+    `;
+  });
+
+  longestMessagesList.innerHTML = entries.join('');
+}
+
+function renderMediaBreakdown(currentStats) {
+  if (!mediaBreakdownList) return;
+
+  const participants = currentStats.participants.filter((participant) => currentStats.mediaByParticipant?.[participant]);
+  if (!participants.length) {
+    mediaBreakdownList.innerHTML = '<li class="empty">No media shared in this range</li>';
+    return;
+  }
+
+  mediaBreakdownList.innerHTML = participants
+    .map((participant) => `
+      <li>
+        <span class="media-participant">${escapeHtml(participant)}</span>
+        <span class="media-kinds">${escapeHtml(formatMediaBreakdown(currentStats.mediaByParticipant[participant]))}</span>
+      </li>
+    `)
+    .join('');
+}
+
+function renderEditActivity(currentStats) {
+  if (!editActivityList) return;
+
+  const formatRate = (rate) => `${(rate * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+  const participants = currentStats.participants.filter((participant) => {
+    const activity = currentStats.editActivityByParticipant?.[participant];
+    return activity && (activity.deleted || activity.edited);
+  });
+  if (!participants.length) {
+    editActivityList.innerHTML = '<li class="empty">No deleted or edited messages in this range</li>';
+    return;
+  }
+
+  editActivityList.innerHTML = participants
+    .map((participant) => {
+      const activity = currentStats.editActivityByParticipant[participant];
+      return `
+        <li>
+          <span class="media-participant">${escapeHtml(participant)}</span>
+          <span class="media-kinds">${activity.deleted} deleted (${formatRate(activity.deletedRate)}) · ${activity.edited} edited (${formatRate(activity.editedRate)})</span>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+function setMediaEntries(entries) {
+  releaseGalleryObjectUrls();
+  mediaEntries = entries || new Map();
+  galleryItems = [];
+  galleryInputs = null;
+  if (galleryContext) {
+    galleryContext.hidden = true;
+    galleryContext.innerHTML = '';
+  }
+}
+
+function releaseGalleryObjectUrls() {
+  galleryObserver?.disconnect();
+  galleryObserver = null;
+  galleryObjectUrls.forEach((url) => URL.revokeObjectURL(url));
+  galleryObjectUrls = [];
+}
+
+function collectGalleryItems(messages, pack) {
+  const items = [];
+  messages.forEach((message, index) => {
+    if (message.type !== 'message') return;
+    const fileName = extractAttachmentName(message.content, pack);
+    const entry = fileName ? mediaEntries.get(fileName) : null;
+    if (!entry) return;
+    items.push({
+      fileName,
+      kind: classifyAttachment(fileName),
+      message,
+      messageIndex: index,
+      entry
+    });
+  });
+  return items;
+}
+
+function renderGalleryFilters(currentStats) {
+  if (!galleryParticipantSelect) return;
+  const previous = galleryParticipantSelect.value;
+  const options = ['<option value="">Everyone</option>'];
+  for (const participant of currentStats.participants) {
+    options.push(`<option value="${escapeHtml(participant)}">${escapeHtml(participant)}</option>`);
+  }
+  galleryParticipantSelect.innerHTML = options.join('');
+  galleryParticipantSelect.value = currentStats.participants.includes(previous) ? previous : '';
+  galleryParticipantSelect.disabled = !mediaEntries.size;
+  if (galleryKindSelect) {
+    galleryKindSelect.disabled = !mediaEntries.size;
+  }
+}
+
+// Only rebuilds the grid when the messages, media or filters changed, so tweaking the
+// reply or session settings does not decode every attachment again.
+function renderMediaGallery(currentStats) {
+  if (!mediaGalleryGrid) return;
+
+  renderGalleryFilters(currentStats);
+  const inputs = {
+    messages: filteredMessages,
+    entries: mediaEntries,
+    languagePack: currentStats.languagePack,
+    participant: galleryParticipantSelect?.value || '',
+    kind: galleryKindSelect?.value || ''
+  };
+  if (galleryInputs && Object.keys(inputs).every((key) => inputs[key] === galleryInputs[key])) {
+    return;
+  }
+  galleryInputs = inputs;
+  releaseGalleryObjectUrls();
+  galleryLimit = 0;
+
+  if (!mediaEntries.size) {
+    galleryItems = [];
+    mediaGalleryGrid.innerHTML = '<p class="empty">Load a .zip export that includes media to browse photos, videos and voice notes.</p>';
+    if (galleryMoreButton) galleryMoreButton.hidden = true;
+    return;
+  }
+
+  const pack = getLanguagePack(inputs.languagePack) || getLanguagePack(DEFAULT_LANGUAGE_PACK_ID);
+  galleryItems = collectGalleryItems(filteredMessages, pack)
+    .filter((item) => (!inputs.participant || item.message.author === inputs.participant)
+      && (!inputs.kind || item.kind === inputs.kind));
+
+  if (!galleryItems.length) {
+    mediaGalleryGrid.innerHTML = '<p class="empty">No attachments match the current filters.</p>';
+    if (galleryMoreButton) galleryMoreButton.hidden = true;
+    return;
+  }
+
+  mediaGalleryGrid.innerHTML = '';
+  showMoreGalleryItems();
+}
+
+// Appends the next page to the grid; items already shown keep their loaded media.
+function showMoreGalleryItems() {
+  const start = galleryLimit;
+  galleryLimit = Math.min(galleryItems.length, galleryLimit + GALLERY_PAGE_SIZE);
+  const pageHtml = galleryItems.slice(start, galleryLimit)
+    .map((item, offset) => {
+      const index = start + offset;
+      return `
+      <figure class="gallery-item" data-gallery-index="${index}" data-kind="${escapeHtml(item.kind)}">
+        <div class="gallery-media" aria-busy="true">${escapeHtml(MEDIA_KIND_LABELS[item.kind]?.singular || 'attachment')}</div>
+        <figcaption>
+          <span class="gallery-author">${escapeHtml(item.message.author)}</span>
+          <span class="gallery-time">${escapeHtml(formatDateTimeFriendly(item.message.timestamp))}</span>
+          <button type="button" class="subtle gallery-context-button" data-gallery-index="${index}">View in chat</button>
+        </figcaption>
+      </figure>
+    `;
+    })
+    .join('');
+  mediaGalleryGrid.insertAdjacentHTML('beforeend', pageHtml);
+
+  if (galleryMoreButton) {
+    galleryMoreButton.hidden = galleryItems.length <= galleryLimit;
+  }
+
+  const placeholders = Array.from(mediaGalleryGrid.querySelectorAll('.gallery-item'))
+    .filter((element) => Number(element.dataset.galleryIndex) >= start);
+  if (typeof IntersectionObserver === 'function') {
+    galleryObserver = galleryObserver || new IntersectionObserver((observed) => {
+      observed.forEach((record) => {
+        if (!record.isIntersecting) return;
+        galleryObserver?.unobserve(record.target);
+        loadGalleryItem(record.target);
+      });
+    }, { rootMargin: '200px' });
+    placeholders.forEach((element) => galleryObserver.observe(element));
+  } else {
+    placeholders.forEach((element) => loadGalleryItem(element));
+  }
+}
+
+async function loadGalleryItem(element) {
+  const item = galleryItems[Number(element.dataset.galleryIndex)];
+  const container = element.querySelector('.gallery-media');
+  if (!item || !container) return;
+
+  try {
+    const extension = item.fileName.split('.').pop().toLowerCase();
+    const rawBlob = await item.entry.async('blob');
+    // The grid may have been rebuilt while the attachment was decoding.
+    if (!element.isConnected) return;
+    const blob = rawBlob.slice(0, rawBlob.size, MEDIA_MIME_TYPES[extension] || 'application/octet-stream');
+    const url = URL.createObjectURL(blob);
+    galleryObjectUrls.push(url);
+
+    let media;
+    if (item.kind === 'photo' || item.kind === 'sticker') {
+      media = document.createElement('img');
+      media.alt = `${MEDIA_KIND_LABELS[item.kind].singular} from ${item.message.author}`;
+      media.loading = 'lazy';
+    } else if (item.kind === 'video' || item.kind === 'gif') {
+      media = document.createElement('video');
+      media.controls = item.kind === 'video';
+      media.muted = item.kind === 'gif';
+      media.loop = item.kind === 'gif';
+      media.autoplay = item.kind === 'gif';
+      media.playsInline = true;
+      media.preload = 'metadata';
+    } else if (item.kind === 'voice') {
+      media = document.createElement('audio');
+      media.controls = true;
+      media.preload = 'metadata';
+    } else {
+      media = document.createElement('a');
+      media.download = item.fileName;
+      media.textContent = item.fileName;
+    }
+    if (media.tagName === 'A') {
+      media.href = url;
+    } else {
+      media.src = url;
+    }
+    container.replaceChildren(media);
+  } catch (error) {
+    console.error(error);
+    container.textContent = 'Could not load attachment';
+  } finally {
+    container.removeAttribute('aria-busy');
+  }
+}
+
+function showGalleryContext(item) {
+  if (!galleryContext || !item) return;
+  const start = Math.max(0, item.messageIndex - 3);
+  const end = Math.min(filteredMessages.length, item.messageIndex + 4);
+  const rows = filteredMessages.slice(start, end).map((message, offset) => {
+    const isTarget = start + offset === item.messageIndex;
+    return `
+      <li${isTarget ? ' class="current"' : ''}>
+        <span class="context-meta">${escapeHtml(formatDateTimeFriendly(message.timestamp))} · ${escapeHtml(message.author)}</span>
+        <span class="context-content">${escapeHtml(formatSnippet(message.content))}</span>
+      </li>
+    `;
+  });
+  galleryContext.innerHTML = `<h3>Around ${escapeHtml(item.fileName)}</h3><ol>${rows.join('')}</ol>`;
+  galleryContext.hidden = false;
+  galleryContext.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+}
+
+function renderCalls(currentStats) {
+  if (!callSummary || !callList) return;
+
+  const calls = currentStats.calls;
+  if (!calls?.totalCalls) {
+    callSummary.textContent = 'No calls in this range.';
+    callList.innerHTML = '';
+    return;
+  }
+
+  const missedPercent = Math.round(calls.missedRate * 100);
+  callSummary.textContent = `${calls.totalCalls.toLocaleString()} calls (${calls.voiceCalls} voice · ${calls.videoCalls} video) · ${formatCallDuration(calls.totalSeconds)} talk time · ${missedPercent}% missed`;
+
+  callList.innerHTML = Object.entries(calls.byParticipant)
+    .sort((a, b) => b[1].calls - a[1].calls)
+    .map(([participant, entry]) => `
+      <li>
+        <span class="response-name">${escapeHtml(participant)}</span>
+        <span class="response-time-value">
+          <span class="response-metric"><span class="metric-label">calls</span><span class="metric-value">${entry.calls}</span></span>
+          <span class="response-metric"><span class="metric-label">talk</span><span class="metric-value">${escapeHtml(formatCallDuration(entry.totalSeconds))}</span></span>
+          <span class="response-sample">${entry.missed} missed</span>
+        </span>
+      </li>
+    `)
+    .join('');
+}
+
+function renderSessions(currentStats) {
+  if (!sessionSummary || !sessionList) return;
+
+  const sessions = currentStats.sessions;
+  if (!sessions?.count) {
+    sessionSummary.textContent = 'No conversations in this range.';
+    sessionList.innerHTML = '';
+    return;
+  }
+
+  const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+  const longest = sessions.longestSession;
+  const longestNote = longest && longest.durationMinutes > 0
+    ? ` · longest ${formatCallDuration(longest.durationMinutes * 60)} on ${formatDateFriendly(longest.start)}`
+    : '';
+  sessionSummary.textContent = `${sessions.count.toLocaleString()} conversation${sessions.count === 1 ? '' : 's'} · ${sessions.averageMessagesPerSession.toLocaleString()} messages each on average · median length ${formatCallDuration(sessions.medianDurationMinutes * 60)}${longestNote}`;
+
+  sessionList.innerHTML = currentStats.participants
+    .filter((participant) => sessions.byParticipant[participant])
+    .map((participant) => {
+      const entry = sessions.byParticipant[participant];
+      return `
+      <li>
+        <span class="response-name">${escapeHtml(participant)}</span>
+        <span class="response-time-value">
+          <span class="response-metric"><span class="metric-label">starts</span><span class="metric-value">${entry.started} (${formatPercent(entry.startedRate)})</span></span>
+          <span class="response-metric"><span class="metric-label">ends</span><span class="metric-value">${entry.ended} (${formatPercent(entry.endedRate)})</span></span>
+          <span class="response-sample">in ${entry.sessions} conversation${entry.sessions === 1 ? '' : 's'}</span>
+        </span>
+      </li>
+    `;
+    })
+    .join('');
+}
+
+function renderPolls(currentStats) {
+  if (!pollList) return;
+
+  const polls = currentStats.polls || [];
+  if (!polls.length) {
+    pollList.innerHTML = '<li class="empty">No polls in this range</li>';
+    return;
+  }
+
+  pollList.innerHTML = polls
+    .map((poll) => {
+      const options = poll.options
+        .map((option) => {
+          const share = poll.totalVotes ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
+          return `
+            <li>
+              <div class="poll-option-header">
+                <span>${escapeHtml(option.text)}</span>
+                <span>${option.votes.toLocaleString()} ${option.votes === 1 ? 'vote' : 'votes'}</span>
+              </div>
+              <div class="poll-bar"><span style="width: ${share}%"></span></div>
+            </li>
+          `;
+        })
+        .join('');
+      return `
+        <li>
+          <p class="poll-question">${escapeHtml(poll.question || 'Untitled poll')}</p>
+          <p class="poll-meta">${escapeHtml(poll.author)} · ${escapeHtml(formatDateTimeFriendly(poll.timestamp))} · ${poll.totalVotes.toLocaleString()} ${poll.totalVotes === 1 ? 'vote' : 'votes'}</p>
+          <ol class="poll-options">${options}</ol>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+const PARTICIPANT_COLORS = [
+  '#38bdf8', '#f472b6', '#34d399', '#facc15', '#a78bfa', '#fb923c', '#2dd4bf', '#f87171'
+];
+
+function getParticipantColor(currentStats, participant) {
+  const index = currentStats.participants.indexOf(participant);
+  return PARTICIPANT_COLORS[(index < 0 ? 0 : index) % PARTICIPANT_COLORS.length];
+}
+
+// Plots coordinates on a plain equirectangular projection so no map tiles are needed.
+function renderLocationPlot(currentStats, points) {
+  if (!locationPlot) return;
+
+  if (!points.length) {
+    locationPlot.innerHTML = '';
+    return;
+  }
+
+  const width = 480;
+  const height = 300;
+  const padding = 24;
+  const lats = points.map((point) => point.latitude);
+  const lngs = points.map((point) => point.longitude);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const latSpan = Math.max(maxLat - minLat, 0.01);
+  const lngSpan = Math.max(maxLng - minLng, 0.01);
+  const scale = Math.min((width - padding * 2) / lngSpan, (height - padding * 2) / latSpan);
+  const offsetX = (width - lngSpan * scale) / 2;
+  const offsetY = (height - latSpan * scale) / 2;
+
+  const circles = points
+    .map((point) => {
+      const x = offsetX + (point.longitude - minLng) * scale;
+      const y = height - (offsetY + (point.latitude - minLat) * scale);
+      const title = `${point.author} · ${formatDateTimeFriendly(point.timestamp)} · ${point.latitude.toFixed(4)}, ${point.longitude.toFixed(4)}`;
+      return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="6" fill="${getParticipantColor(currentStats, point.author)}" stroke="#0f172a" stroke-opacity="0.9" stroke-width="1.5"><title>${escapeHtml(title)}</title></circle>`;
+    })
+    .join('');
+
+  locationPlot.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Scatter plot of shared locations">
+      <rect x="0" y="0" width="${width}" height="${height}" rx="12" fill="#0f172a" fill-opacity="0.55" stroke="#94a3b8" stroke-opacity="0.2"></rect>
+      ${circles}
+    </svg>
+  `;
+}
+
+function renderLocations(currentStats) {
+  if (!locationList) return;
+
+  const locations = currentStats.locations || [];
+  const points = locations.filter((location) => typeof location.latitude === 'number');
+  renderLocationPlot(currentStats, points);
+
+  if (!locations.length) {
+    locationList.innerHTML = '<li class="empty">No shared locations in this range</li>';
+    return;
+  }
+
+  locationList.innerHTML = locations
+    .map((location) => {
+      const place = typeof location.latitude === 'number'
+        ? `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`
+        : location.live ? 'Live location' : 'Location (no coordinates)';
+      return `
+        <li>
+          <span class="location-swatch" style="background: ${getParticipantColor(currentStats, location.author)}"></span>
+          <span class="location-author">${escapeHtml(location.author)}</span>
+          <span class="location-place">${escapeHtml(place)}</span>
+          <span class="location-time">${escapeHtml(formatDateTimeFriendly(location.timestamp))}</span>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+const CALENDAR_CELL = 11;
+const CALENDAR_GAP = 2;
+const CALENDAR_LEFT = 34;
+const CALENDAR_YEAR_HEIGHT = 7 * (CALENDAR_CELL + CALENDAR_GAP) + 34;
+const CALENDAR_COLORS = [
+  'rgba(148, 163, 184, 0.14)',
+  'rgba(56, 189, 248, 0.3)',
+  'rgba(56, 189, 248, 0.5)',
+  'rgba(56, 189, 248, 0.72)',
+  'rgba(56, 189, 248, 0.95)'
+];
+const CALENDAR_OUT_OF_RANGE_COLOR = 'rgba(148, 163, 184, 0.05)';
+
+function getCalendarLevel(count, maxCount) {
+  if (!count || !maxCount) return 0;
+  return Math.max(1, Math.ceil((count / maxCount) * 4));
+}
+
+function renderParticipantFilter(select) {
+  if (!select) return;
+  const participants = (fullStats || stats)?.participants || [];
+  const previous = select.value;
+  select.innerHTML = ['<option value="">Everyone</option>']
+    .concat(participants.map((participant) => `<option value="${escapeHtml(participant)}">${escapeHtml(participant)}</option>`))
+    .join('');
+  select.value = participants.includes(previous) ? previous : '';
+  select.disabled = participants.length < 2;
+}
+
+// Drawn as inline SVG with inline fills so the HTML report can embed it unchanged.
+function renderCalendarHeatmap(currentStats) {
+  if (!calendarHeatmap) return;
+
+  renderParticipantFilter(calendarParticipantSelect);
+  const participant = calendarParticipantSelect?.value || null;
+  const { years, maxCount } = buildCalendarHeatmap(currentStats, {
+    participant,
+    startDate: activeRange.startDate,
+    endDate: activeRange.endDate
+  });
+  if (!years.length) {
+    calendarHeatmap.innerHTML = '<p class="empty">No activity in this range.</p>';
+    return;
+  }
+
+  const step = CALENDAR_CELL + CALENDAR_GAP;
+  const width = CALENDAR_LEFT + 54 * step;
+  const height = years.length * CALENDAR_YEAR_HEIGHT + 24;
+  const monthFormatter = new Intl.DateTimeFormat(undefined, { month: 'short' });
+  const dayFormatter = new Intl.DateTimeFormat(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+  const subject = participant ? ` from ${participant}` : '';
+
+  const blocks = years.map(({ year, weeks, total }, yearIndex) => {
+    const top = yearIndex * CALENDAR_YEAR_HEIGHT;
+    const gridTop = top + 30;
+    const parts = [
+      `<text x="0" y="${top + 12}" class="calendar-year" fill="#f8fafc" font-size="12" font-weight="600">${year} · ${total.toLocaleString()} messages${escapeHtml(subject)}</text>`
+    ];
+    ['Mon', 'Wed', 'Fri'].forEach((label, index) => {
+      parts.push(`<text x="0" y="${gridTop + index * 2 * step + CALENDAR_CELL - 2}" fill="#94a3b8" font-size="9">${label}</text>`);
+    });
+    weeks.forEach((week, weekIndex) => {
+      const x = CALENDAR_LEFT + weekIndex * step;
+      const firstOfMonth = week.find((day) => day && day.date.endsWith('-01'));
+      if (firstOfMonth) {
+        const [, month] = firstOfMonth.date.split('-').map(Number);
+        parts.push(`<text x="${x}" y="${gridTop - 4}" fill="#94a3b8" font-size="9">${monthFormatter.format(new Date(year, month - 1, 1))}</text>`);
+      }
+      week.forEach((day, weekday) => {
+        if (!day) return;
+        const y = gridTop + weekday * step;
+        const fill = day.inRange ? CALENDAR_COLORS[getCalendarLevel(day.count, maxCount)] : CALENDAR_OUT_OF_RANGE_COLOR;
+        const label = `${day.count.toLocaleString()} message${day.count === 1 ? '' : 's'}${subject} on ${dayFormatter.format(parseDateInput(day.date))}`;
+        parts.push(`<rect x="${x}" y="${y}" width="${CALENDAR_CELL}" height="${CALENDAR_CELL}" rx="2" fill="${fill}" data-date="${day.date}"><title>${escapeHtml(label)}</title></rect>`);
+      });
+    });
+    return parts.join('');
+  });
+
+  const legendTop = height - 14;
+  const legend = CALENDAR_COLORS
+    .map((color, index) => `<rect x="${width - 6 * step - 30 + index * step}" y="${legendTop - CALENDAR_CELL + 2}" width="${CALENDAR_CELL}" height="${CALENDAR_CELL}" rx="2" fill="${color}"></rect>`)
+    .join('');
+
+  calendarHeatmap.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Calendar heatmap of daily messages">
+      ${blocks.join('')}
+      <text x="${width - 6 * step - 62}" y="${legendTop}" fill="#94a3b8" font-size="9">Less</text>
+      ${legend}
+      <text x="${width - 28}" y="${legendTop}" fill="#94a3b8" font-size="9">More</text>
+    </svg>
+  `;
 }
 
-function updateTopList(container, items, formatter, emptyMessage = 'No data yet') {
-  if (!items.length) {
-    container.innerHTML = `<li>${emptyMessage}</li>`;
+const WEEKDAY_HOUR_CELL = 20;
+const WEEKDAY_HOUR_GAP = 2;
+const WEEKDAY_HOUR_LEFT = 32;
+const WEEKDAY_HOUR_TOP = 16;
+
+// Seven Monday-first rows by 24 hour columns, drawn like the calendar so the report can
+// embed it. Older saved analyses have no matrix and show the empty state instead.
+function renderWeekdayHourHeatmap(currentStats) {
+  if (!weekdayHourHeatmap) return;
+
+  renderParticipantFilter(weekdayHourParticipantSelect);
+  const participant = weekdayHourParticipantSelect?.value || null;
+  const matrix = participant
+    ? currentStats.messagesByWeekdayHourByParticipant?.[participant]
+    : currentStats.messagesByWeekdayHour;
+  const maxCount = Math.max(0, ...(matrix || []).flat());
+  if (!maxCount) {
+    weekdayHourHeatmap.innerHTML = '<p class="empty">No activity in this range.</p>';
     return;
   }
 
-  container.innerHTML = items
-    .map((item) => `<li>${formatter(item)}</li>`)
-    .join('');
+  const step = WEEKDAY_HOUR_CELL + WEEKDAY_HOUR_GAP;
+  const width = WEEKDAY_HOUR_LEFT + 24 * step;
+  const height = WEEKDAY_HOUR_TOP + 7 * step;
+  const subject = participant ? ` from ${participant}` : '';
+  const parts = [];
+  for (let hour = 0; hour < 24; hour += 3) {
+    parts.push(`<text x="${WEEKDAY_HOUR_LEFT + hour * step}" y="${WEEKDAY_HOUR_TOP - 5}" fill="#94a3b8" font-size="9">${String(hour).padStart(2, '0')}</text>`);
+  }
+  matrix.forEach((hours, weekday) => {
+    const y = WEEKDAY_HOUR_TOP + weekday * step;
+    parts.push(`<text x="0" y="${y + WEEKDAY_HOUR_CELL - 6}" fill="#94a3b8" font-size="9">${WEEKDAY_LABELS[weekday]}</text>`);
+    hours.forEach((count, hour) => {
+      const fill = CALENDAR_COLORS[getCalendarLevel(count, maxCount)];
+      const span = `${String(hour).padStart(2, '0')}:00–${String((hour + 1) % 24).padStart(2, '0')}:00`;
+      const label = `${count.toLocaleString()} message${count === 1 ? '' : 's'}${subject} on ${WEEKDAY_LABELS[weekday]} ${span}`;
+      parts.push(`<rect x="${WEEKDAY_HOUR_LEFT + hour * step}" y="${y}" width="${WEEKDAY_HOUR_CELL}" height="${WEEKDAY_HOUR_CELL}" rx="3" fill="${fill}"><title>${escapeHtml(label)}</title></rect>`);
+    });
+  });
+
+  weekdayHourHeatmap.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Messages by weekday and hour">
+      ${parts.join('')}
+    </svg>
+  `;
 }
 
-function getTopWordEntries(currentStats, { ignoreCommon = false } = {}) {
-  if (!currentStats) {
-    return [];
+function handleCalendarClick(event) {
+  const date = event.target.closest?.('rect[data-date]')?.dataset.date;
+  if (!date || !stats) return;
+  if ((startDateInput.min && date < startDateInput.min) || (startDateInput.max && date > startDateInput.max)) {
+    loadStatus.textContent = 'That day is outside the loaded chat.';
+    return;
   }
+  startDateInput.value = date;
+  endDateInput.value = date;
+  applyFilters();
+  loadStatus.textContent = `Showing ${formatDateFriendly(parseDateInput(date))}. Reset the filters to see the whole chat again.`;
+}
 
-  const hasFrequency = currentStats.wordFrequency && typeof currentStats.wordFrequency === 'object';
+// Large groups are cut down to their most active members to keep the table and graph readable.
+const REPLY_MATRIX_LIMIT = 12;
+const REPLY_NETWORK_LIMIT = 20;
 
-  if (hasFrequency) {
-    let entries = Object.entries(currentStats.wordFrequency);
-    if (ignoreCommon) {
-      entries = entries.filter(([word]) => !COMMON_ENGLISH_WORDS.has(word));
-    }
-    return entries
-      .sort((a, b) => {
-        if (b[1] !== a[1]) {
-          return b[1] - a[1];
-        }
-        return a[0].localeCompare(b[0]);
-      })
-      .slice(0, 15);
-  }
+function getReplyParticipants(currentStats, limit) {
+  const matrix = currentStats.replyMatrix || {};
+  return currentStats.participants
+    .filter((participant) => matrix[participant] || Object.values(matrix).some((targets) => targets[participant]))
+    .slice(0, limit);
+}
 
-  let entries = Array.isArray(currentStats.topWords)
-    ? currentStats.topWords.map(([word, count]) => [word, count])
-    : [];
-  if (ignoreCommon) {
-    entries = entries.filter(([word]) => !COMMON_ENGLISH_WORDS.has(word));
+function renderReplyMatrix(currentStats) {
+  if (!replyMatrixContainer) return;
+
+  const matrix = currentStats.replyMatrix || {};
+  const people = getReplyParticipants(currentStats, REPLY_MATRIX_LIMIT);
+  if (people.length < 2) {
+    replyMatrixContainer.innerHTML = '<p class="empty">No replies between participants in this range.</p>';
+    return;
   }
-  return entries.slice(0, 15);
+
+  const maxCount = Math.max(1, ...people.flatMap((author) => people.map((target) => matrix[author]?.[target]?.count || 0)));
+  const formatMinutes = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+  const header = people.map((participant) => `<th scope="col">${escapeHtml(participant)}</th>`).join('');
+  const rows = people
+    .map((author) => {
+      const cells = people
+        .map((target) => {
+          if (author === target) return '<td class="self">—</td>';
+          const entry = matrix[author]?.[target];
+          if (!entry) return '<td>0</td>';
+          const alpha = (0.12 + (entry.count / maxCount) * 0.68).toFixed(2);
+          const title = `${author} → ${target}: ${entry.count} replies, median ${formatMinutes(entry.medianMinutes)} min`;
+          return `<td style="background: rgba(56, 189, 248, ${alpha})" title="${escapeHtml(title)}">${entry.count}<span>${formatMinutes(entry.medianMinutes)} min</span></td>`;
+        })
+        .join('');
+      return `<tr><th scope="row">${escapeHtml(author)}</th>${cells}</tr>`;
+    })
+    .join('');
+  const hiddenCount = currentStats.participants.length - people.length;
+  const note = hiddenCount > 0 && people.length === REPLY_MATRIX_LIMIT
+    ? `<p class="reply-matrix-note">Showing the ${people.length} most active participants.</p>`
+    : '';
+
+  replyMatrixContainer.innerHTML = `
+    <table>
+      <thead><tr><th scope="col">Replier ↓ / to →</th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="reply-matrix-note">Each cell counts replies from the row to the column, with the median reply time.</p>
+    ${note}
+  `;
 }
 
-function renderTopWords(currentStats) {
-  if (!topWordsList) return;
-  const entries = getTopWordEntries(currentStats, { ignoreCommon: ignoreCommonTopWords });
-  updateTopList(
-    topWordsList,
-    entries,
-    ([word, count]) => `<span>${escapeHtml(word)}</span><span>${count}</span>`,
-    'No words yet'
+function renderReplyNetwork(currentStats) {
+  const context = replyNetworkCanvas?.getContext?.('2d');
+  if (!context) return;
+
+  const people = getReplyParticipants(currentStats, REPLY_NETWORK_LIMIT);
+  const edges = buildReplyEdges(currentStats.replyMatrix)
+    .filter((edge) => people.includes(edge.source) && people.includes(edge.target));
+  replyNetworkCanvas.hidden = people.length < 2 || !edges.length;
+  if (replyNetworkCanvas.hidden) return;
+
+  const { width, height } = replyNetworkCanvas;
+  const counts = people.map((participant) => currentStats.messageCountByParticipant[participant] || 0);
+  const maxMessages = Math.max(1, ...counts);
+  const nodes = layoutNetwork(
+    people.map((participant, index) => ({
+      id: participant,
+      radius: 8 + Math.sqrt(counts[index] / maxMessages) * 16
+    })),
+    edges,
+    { width, height, padding: 48 }
   );
+  const positions = new Map(nodes.map((node) => [node.id, node]));
+  const maxWeight = Math.max(1, ...edges.map((edge) => edge.weight));
+
+  context.clearRect(0, 0, width, height);
+  context.lineCap = 'round';
+  for (const edge of edges) {
+    const from = positions.get(edge.source);
+    const to = positions.get(edge.target);
+    context.strokeStyle = `rgba(148, 163, 184, ${(0.25 + (edge.weight / maxWeight) * 0.6).toFixed(2)})`;
+    context.lineWidth = 1 + (edge.weight / maxWeight) * 9;
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(to.x, to.y);
+    context.stroke();
+  }
+
+  context.font = '600 13px Inter, system-ui, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  for (const node of nodes) {
+    context.fillStyle = getParticipantColor(currentStats, node.id);
+    context.beginPath();
+    context.arc(node.x, node.y, node.radius, 0, Math.PI * 2);
+    context.fill();
+    context.fillStyle = '#f8fafc';
+    context.fillText(node.id, node.x, node.y + node.radius + 4);
+  }
 }
 
-function renderLongestMessages(currentStats) {
-  if (!longestMessagesList) return;
+function renderGroupHistory(currentStats) {
+  if (!groupHistoryList) return;
 
-  if (!currentStats.participants.length) {
-    longestMessagesList.innerHTML = '<li class="empty">No participants yet</li>';
+  const events = (currentStats.groupEvents || []).filter((event) => event.kind !== 'encryption');
+  if (!events.length) {
+    groupHistoryList.innerHTML = '<li class="empty">No group changes in this range</li>';
     return;
   }
 
-  const entries = currentStats.participants.map((participant) => {
-    const record = currentStats.longestMessageByParticipant?.[participant];
-    if (!record) {
-      return `
-        <li>
-          <div class="longest-message-header">
-            <span class="participant-name">${escapeHtml(participant)}</span>
-            <span class="message-length">No qualifying message</span>
-          </div>
-          <div class="longest-message-meta">—</div>
-          <p class="longest-message-snippet">No qualifying messages yet.</p>
-        </li>
-      `;
-    }
-
-    const descriptor = record.wordCount
-      ? `${record.wordCount.toLocaleString()} ${record.wordCount === 1 ? 'word' : 'words'}`
-      : `${record.charCount.toLocaleString()} chars`;
-    const timestampLabel = formatDateTimeFriendly(record.timestamp instanceof Date ? record.timestamp : new Date(record.timestamp));
-    const snippet = formatSnippet(record.content);
-
-    return `
-      <li>
-        <div class="longest-message-header">
-          <span class="participant-name">${escapeHtml(participant)}</span>
-          <span class="message-length">${escapeHtml(descriptor)}</span>
-        </div>
-        <div class="longest-message-meta">${escapeHtml(timestampLabel)}</div>
-        <p class="longest-message-snippet">${escapeHtml(snippet)}</p>
+  groupHistoryList.innerHTML = events
+    .map((event) => `
+      <li data-kind="${escapeHtml(event.kind)}">
+        <span class="group-event-kind">${escapeHtml(GROUP_EVENT_LABELS[event.kind] || 'Group change')}</span>
+        <span class="group-event-description">${escapeHtml(describeGroupEvent(event))}</span>
+        <span class="group-event-time">${escapeHtml(formatDateTimeFriendly(event.timestamp))}</span>
       </li>
-    `;
-  });
-
-  longestMessagesList.innerHTML = entries.join('');
+    `)
+    .join('');
 }
 
 function renderParticipantWordBreakdown(currentStats) {
@@ -694,16 +2100,46 @@ function renderStats(currentStats) {
   renderTopWords(currentStats);
   updateTopList(topEmojisList, currentStats.topEmojis, ([emoji, count]) => `<span>${escapeHtml(emoji)}</span><span>${count}</span>`);
   renderLongestMessages(currentStats);
+  renderMediaBreakdown(currentStats);
+  renderEditActivity(currentStats);
+  renderMediaGallery(currentStats);
+  renderCalls(currentStats);
+  renderSessions(currentStats);
+  renderPolls(currentStats);
+  renderLocations(currentStats);
+  renderCalendarHeatmap(currentStats);
+  renderWeekdayHourHeatmap(currentStats);
+  renderReplyMatrix(currentStats);
+  renderReplyNetwork(currentStats);
+  renderGroupHistory(currentStats);
   renderParticipantWordBreakdown(currentStats);
   buildInsights(currentStats);
 }
 
+function getSessionGapMinutes() {
+  const value = Number(sessionGapInput?.value);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_SESSION_GAP_MINUTES;
+}
+
 function refreshStats() {
-  const options = getResponseOptions();
-  stats = computeStatistics(filteredMessages, options);
+  stats = queryStatisticsIndex(statisticsIndex, {
+    ...getResponseOptions(),
+    sessionGapMinutes: getSessionGapMinutes(),
+    ...activeRange
+  });
   renderStats(stats);
 }
 
+// Builds the per-day statistics index in the worker; range and reply-gap changes are then
+// answered from it on the main thread without re-reading any message text.
+async function rebuildStatisticsIndex() {
+  statisticsIndex = await runAnalysis('index', {
+    messages: allMessages,
+    options: { languagePack: getActiveLanguagePackId() }
+  });
+  fullStats = queryStatisticsIndex(statisticsIndex);
+}
+
 export function updateResponseTimesList(currentStats) {
   if (!responseTimesList) return;
 
@@ -836,6 +2272,8 @@ function updateResponseCutoffNote(currentStats) {
     : `${parts.join(' ')}. No qualifying reply gaps yet with this cutoff.`;
 }
 
+const CHRONOTYPE_INSIGHT_LIMIT = 3;
+
 export function buildInsights(currentStats) {
   updateResponseTimesList(currentStats);
   updateResponseCutoffNote(currentStats);
@@ -874,6 +2312,28 @@ export function buildInsights(currentStats) {
       : '—';
     insights.push(`Quickest responder: <strong>${safeFastestName}</strong> with replies averaging ${averageLabel} (median ${medianLabel}).`);
   }
+  const sessionStarters = Object.entries(currentStats.sessions?.byParticipant || {})
+    .filter(([, entry]) => entry.started > 0)
+    .sort((a, b) => b[1].started - a[1].started);
+  if (sessionStarters.length > 1 && currentStats.sessions.count > 1) {
+    const [starterName, starter] = sessionStarters[0];
+    const share = Math.round(starter.startedRate * 100);
+    insights.push(`Who breaks the silence: <strong>${escapeHtml(starterName)}</strong> starts ${share}% of conversations (${starter.started} of ${currentStats.sessions.count}).`);
+  }
+  const chronotypeLabels = {
+    nightOwl: ['Night owl', 'between 22:00 and 04:00'],
+    earlyBird: ['Early bird', 'between 05:00 and 09:00'],
+    weekendOnly: ['Weekend-only', 'on Saturdays and Sundays']
+  };
+  // Only each person's strongest chronotype, and only the most pronounced few of those.
+  describeChronotypes(currentStats)
+    .map(({ participant, types }) => ({ participant, ...types[0] }))
+    .sort((a, b) => b.strength - a.strength)
+    .slice(0, CHRONOTYPE_INSIGHT_LIMIT)
+    .forEach(({ participant, type, share }) => {
+      const [label, when] = chronotypeLabels[type];
+      insights.push(`${label}: <strong>${escapeHtml(participant)}</strong> sends ${Math.round(share * 100)}% of their messages ${when}.`);
+    });
   if (!insights.length) {
     insights.push('Insights will appear here once you load a chat.');
   }
@@ -888,10 +2348,25 @@ function enableControls(enabled) {
     applyRangeButton,
     resetRangeButton,
     generateMdButton,
+    downloadAnalysisButton,
+    downloadHtmlReportButton,
+    downloadMessagesCsvButton,
+    downloadDailyCsvButton,
+    downloadParticipantsCsvButton,
+    downloadGeoJsonButton,
     responseGapInput,
     responseOvernightToggle,
     responseOvernightMinutesInput,
-    topWordsIgnoreCommonToggle
+    sessionGapInput,
+    timelineRollingToggle,
+    timelineStackedToggle,
+    ...timelineGranularityButtons,
+    topWordsIgnoreCommonToggle,
+    languagePackSelect,
+    privacyToggle,
+    privacyApplyButton,
+    participantApplyButton,
+    participantResetButton
   ].forEach((el) => {
     if (el) {
       el.disabled = !enabled;
@@ -904,7 +2379,7 @@ function enableControls(enabled) {
 }
 
 function handleResponseSettingsChange() {
-  if (!allMessages.length) {
+  if (!allMessages.length || !statisticsIndex) {
     syncResponseControlState();
     return;
   }
@@ -914,11 +2389,39 @@ function handleResponseSettingsChange() {
   loadStatus.textContent = 'Reply gap settings updated.';
 }
 
+function handleSessionGapChange() {
+  if (!allMessages.length || !statisticsIndex) return;
+
+  refreshStats();
+  loadStatus.textContent = `Conversations now split after ${getSessionGapMinutes()} minutes of silence.`;
+}
+
+async function handleLanguagePackChange(event) {
+  selectedLanguagePack = event.target.value || null;
+  if (!allMessages.length) return;
+
+  try {
+    // Restored analysis files carry no transcript to re-parse, only their flagged messages.
+    if (chatSources.length) {
+      const parseResult = await parseChatSources({ dateFormat: activeDateFormat });
+      await processParsedChat(parseResult, { preserveFilters: true });
+      renderTranscriptChooser();
+      return;
+    }
+    await rebuildStatisticsIndex();
+    refreshStats();
+    updateLoadSuccessMessage();
+  } catch (error) {
+    reportAnalysisError(error, 'Unable to apply the selected language.');
+  }
+}
+
 function applyFilters() {
   const start = startDateInput.value || null;
   const end = endDateInput.value || null;
 
   filteredMessages = filterMessagesByDate(allMessages, start, end);
+  activeRange = { startDate: start, endDate: end };
   refreshStats();
 }
 
@@ -927,21 +2430,32 @@ function resetFilters() {
   startDateInput.value = formatDateForInput(fullStats.firstMessageDate);
   endDateInput.value = formatDateForInput(fullStats.lastMessageDate);
   filteredMessages = [...allMessages];
+  activeRange = { startDate: null, endDate: null };
   refreshStats();
 }
 
-function processParsedChat(parseResult, options = {}) {
-  const { messages, dateFormat } = parseResult;
+async function processParsedChat(parseResult, options = {}) {
+  const { messages, dateFormat, headerPattern, languagePack, detectedLanguagePack: detected } = parseResult;
   const { preserveFilters = false } = options;
+  const previousRange = activeRange;
 
   if (!messages.length) {
     throw new Error('No messages could be parsed. Please ensure this is a standard WhatsApp export.');
   }
 
-  allMessages = messages;
-  filteredMessages = [...messages];
+  sourceMessages = messages;
+  mergeSummary = parseResult.sources || null;
+  chatStorageKey = getChatStorageKey(messages);
+  participantMapping = loadParticipantMapping(chatStorageKey);
+  renderParticipantManager();
+  allMessages = deriveAnalysedMessages();
+  filteredMessages = [...allMessages];
+  activeRange = { startDate: null, endDate: null };
   activeDateFormat = dateFormat;
-  fullStats = computeStatistics(messages);
+  activeHeaderPattern = headerPattern || null;
+  detectedLanguagePack = detected || languagePack || null;
+  renderLanguagePackOptions();
+  await rebuildStatisticsIndex();
   stats = fullStats;
 
   const firstDate = formatDateForInput(fullStats.firstMessageDate);
@@ -965,6 +2479,10 @@ function processParsedChat(parseResult, options = {}) {
     if (endDateInput.value < startDateInput.value) {
       endDateInput.value = startDateInput.value;
     }
+    if (previousRange.startDate || previousRange.endDate) {
+      activeRange = { startDate: startDateInput.value, endDate: endDateInput.value };
+      filteredMessages = filterMessagesByDate(allMessages, activeRange.startDate, activeRange.endDate);
+    }
   } else {
     startDateInput.value = firstDate;
     endDateInput.value = lastDate;
@@ -974,19 +2492,20 @@ function processParsedChat(parseResult, options = {}) {
   refreshStats();
 
   renderDateFormatChooser(parseResult);
+  renderParseReport(parseResult.diagnostics);
   loadStatus.classList.remove('error');
   updateLoadSuccessMessage();
 }
 
-function applyDateFormatOverride(format) {
-  if (!rawChatText || format === activeDateFormat) return;
+async function applyDateFormatOverride(format) {
+  if (!chatSources.length || format === activeDateFormat) return;
 
   try {
-    const parseResult = parseChat(rawChatText, { dateFormat: format });
-    processParsedChat(parseResult, { preserveFilters: true });
+    const parseResult = await parseChatSources({ dateFormat: format });
+    await processParsedChat(parseResult, { preserveFilters: true });
+    renderTranscriptChooser();
   } catch (error) {
-    console.error(error);
-    showError(error.message || 'Unable to apply the selected date format.');
+    reportAnalysisError(error, 'Unable to apply the selected date format.');
   }
 }
 
@@ -994,12 +2513,15 @@ function showError(message) {
   loadStatus.textContent = message;
   loadStatus.classList.add('error');
   hideDateFormatChooser();
+  hideParseReport();
 }
 
 function clearStatus() {
   loadStatus.textContent = '';
   loadStatus.classList.remove('error');
   hideDateFormatChooser();
+  hideParseReport();
+  hideTranscriptChooser();
 }
 
 function prepareMarkdown() {
@@ -1016,34 +2538,404 @@ function prepareMarkdown() {
 
   mdPreview.value = markdown;
 
-  const blob = new Blob([markdown], { type: 'text/markdown' });
+  downloadFile(markdown, `${getExportBaseName()}.md`, 'text/markdown');
+}
+
+function getExportBaseName() {
+  return (mdTitleInput.value || 'whatsapp-chat-summary').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+function downloadFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
-  link.download = `${(mdTitleInput.value || 'whatsapp-chat-summary').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.md`;
+  link.download = fileName;
   document.body.appendChild(link);
   link.click();
   link.remove();
   setTimeout(() => URL.revokeObjectURL(url), 5000);
 }
 
-fileInput.addEventListener('change', async (event) => {
-  const [file] = event.target.files;
-  if (!file) return;
+function getDashboardSettings() {
+  const gapValue = Number(responseGapInput?.value);
+  const overnightValue = Number(responseOvernightMinutesInput?.value);
+  return {
+    startDate: activeRange.startDate,
+    endDate: activeRange.endDate,
+    dateFormat: activeDateFormat,
+    headerPattern: activeHeaderPattern,
+    detectedLanguagePack,
+    languagePack: selectedLanguagePack,
+    responseGapMinutes: Number.isFinite(gapValue) && gapValue > 0 ? gapValue : null,
+    overnightBufferEnabled: Boolean(responseOvernightToggle?.checked),
+    overnightBufferMinutes: Number.isFinite(overnightValue) ? overnightValue : null,
+    sessionGapMinutes: getSessionGapMinutes(),
+    ignoreCommonWords: ignoreCommonTopWords,
+    title: mdTitleInput.value,
+    // Only the switches: aliases and custom patterns would reveal the names they hide.
+    privacy: {
+      enabled: Boolean(privacyToggle?.checked),
+      redactPhones: Boolean(privacyPhonesToggle?.checked),
+      redactEmails: Boolean(privacyEmailsToggle?.checked),
+      redactUrls: Boolean(privacyUrlsToggle?.checked)
+    }
+  };
+}
+
+function getPrivacyOptions() {
+  return {
+    enabled: Boolean(privacyToggle?.checked),
+    redactPhones: privacyPhonesToggle?.checked ?? true,
+    redactEmails: privacyEmailsToggle?.checked ?? true,
+    redactUrls: privacyUrlsToggle?.checked ?? true,
+    aliases: parseAliasList(privacyAliasesInput?.value),
+    customPatterns: parseCustomPatterns(privacyPatternsInput?.value)
+  };
+}
+
+// Parsed messages go through the participant mapping, then privacy mode, before any
+// statistics are computed.
+function deriveAnalysedMessages() {
+  const mapped = applyParticipantMapping(sourceMessages, participantMapping);
+  return applyPrivacy(mapped, getPrivacyOptions()).messages;
+}
+
+// Re-derives the analysed messages from the parsed ones, so participant and privacy
+// settings can be changed and undone without re-reading the export.
+async function refreshAnalysedMessages() {
+  allMessages = deriveAnalysedMessages();
+  filteredMessages = filterMessagesByDate(allMessages, activeRange.startDate, activeRange.endDate);
+  selectedParticipantForWords = null;
+  await rebuildStatisticsIndex();
+  refreshStats();
+  loadStatus.classList.remove('error');
+}
+
+async function applyPrivacySettings() {
+  if (!sourceMessages.length) return;
+
+  try {
+    await refreshAnalysedMessages();
+    loadStatus.textContent = privacyToggle?.checked
+      ? 'Privacy mode on: names are pseudonymised and sensitive content is redacted in the dashboard and all exports.'
+      : 'Privacy mode off.';
+  } catch (error) {
+    reportAnalysisError(error, 'Unable to apply the privacy settings.');
+  }
+}
+
+function renderParticipantManager() {
+  if (!participantManager) return;
+
+  const participants = listParticipants(sourceMessages);
+  participantManager.innerHTML = '';
+  if (participantSuggestions) {
+    participantSuggestions.innerHTML = '';
+  }
+  if (!participants.length) {
+    participantManager.innerHTML = '<p class="empty">Participants will appear once a chat is loaded.</p>';
+    return;
+  }
+
+  if (participantNamesList) {
+    const displayNames = new Set(participants.map(({ name }) => resolveParticipant(name, participantMapping)));
+    participantNamesList.innerHTML = Array.from(displayNames)
+      .map((name) => `<option value="${escapeHtml(name)}"></option>`)
+      .join('');
+  }
+
+  const hidden = new Set(participantMapping.hidden);
+  participants.forEach(({ name, count }) => {
+    const row = document.createElement('div');
+    row.className = 'participant-row';
+    row.dataset.participant = name;
+
+    const label = document.createElement('span');
+    label.className = 'participant-original';
+    label.textContent = `${name} (${count.toLocaleString()} messages)`;
+
+    const aliasInput = document.createElement('input');
+    aliasInput.type = 'text';
+    aliasInput.className = 'participant-alias';
+    aliasInput.placeholder = name;
+    aliasInput.value = participantMapping.aliases[name] || '';
+    aliasInput.setAttribute('list', 'participant-names');
+    aliasInput.setAttribute('aria-label', `Display name for ${name}`);
+
+    const hideLabel = document.createElement('label');
+    const hideToggle = document.createElement('input');
+    hideToggle.type = 'checkbox';
+    hideToggle.className = 'participant-hidden';
+    hideToggle.checked = hidden.has(name);
+    const hideText = document.createElement('span');
+    hideText.textContent = 'Hide';
+    hideLabel.append(hideToggle, hideText);
+
+    row.append(label, aliasInput, hideLabel);
+    participantManager.appendChild(row);
+  });
+
+  renderParticipantSuggestions(participants);
+}
+
+function renderParticipantSuggestions(participants) {
+  if (!participantSuggestions) return;
+
+  const groups = suggestParticipantMerges(participants.map(({ name }) => name))
+    .filter((group) => new Set(group.map((name) => resolveParticipant(name, participantMapping))).size > 1);
+  groups.forEach((group) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = `Merge ${group.join(' + ')}`;
+    button.addEventListener('click', () => {
+      // Groups keep the busiest name first; everyone else takes its display name.
+      const target = resolveParticipant(group[0], participantMapping);
+      participantManager.querySelectorAll('.participant-row').forEach((row) => {
+        if (group.includes(row.dataset.participant) && row.dataset.participant !== group[0]) {
+          row.querySelector('.participant-alias').value = target;
+        }
+      });
+      applyParticipantChanges();
+    });
+    participantSuggestions.appendChild(button);
+  });
+}
+
+function readParticipantMapping() {
+  const mapping = createEmptyMapping();
+  participantManager?.querySelectorAll('.participant-row').forEach((row) => {
+    const name = row.dataset.participant;
+    const alias = row.querySelector('.participant-alias')?.value.trim();
+    if (alias && alias !== name) {
+      mapping.aliases[name] = alias;
+    }
+    if (row.querySelector('.participant-hidden')?.checked) {
+      mapping.hidden.push(name);
+    }
+  });
+  return mapping;
+}
+
+async function applyParticipantChanges(mapping = readParticipantMapping()) {
+  if (!sourceMessages.length) return;
+
+  participantMapping = mapping;
+  const saved = chatStorageKey ? saveParticipantMapping(chatStorageKey, participantMapping) : false;
+  renderParticipantManager();
+  try {
+    await refreshAnalysedMessages();
+    loadStatus.textContent = saved
+      ? 'Participant changes applied and saved for this chat.'
+      : 'Participant changes applied (they could not be saved in this browser).';
+  } catch (error) {
+    reportAnalysisError(error, 'Unable to apply the participant changes.');
+  }
+}
+
+function prepareAnalysisExport() {
+  if (!stats) return;
+  const json = serializeAnalysis({ messages: allMessages, stats, settings: getDashboardSettings() });
+  downloadFile(json, `${getExportBaseName()}-analysis.json`, 'application/json');
+}
+
+function applyDashboardSettings(settings) {
+  activeDateFormat = settings.dateFormat || 'DMY';
+  activeHeaderPattern = settings.headerPattern || null;
+  detectedLanguagePack = settings.detectedLanguagePack || null;
+  selectedLanguagePack = settings.languagePack || null;
+  renderLanguagePackOptions();
+
+  if (responseGapInput) {
+    responseGapInput.value = settings.responseGapMinutes ?? '';
+  }
+  if (responseOvernightToggle) {
+    responseOvernightToggle.checked = Boolean(settings.overnightBufferEnabled);
+  }
+  if (responseOvernightMinutesInput && settings.overnightBufferMinutes !== null && settings.overnightBufferMinutes !== undefined) {
+    responseOvernightMinutesInput.value = settings.overnightBufferMinutes;
+  }
+  if (sessionGapInput && settings.sessionGapMinutes) {
+    sessionGapInput.value = settings.sessionGapMinutes;
+  }
+  ignoreCommonTopWords = Boolean(settings.ignoreCommonWords);
+  if (topWordsIgnoreCommonToggle) {
+    topWordsIgnoreCommonToggle.checked = ignoreCommonTopWords;
+  }
+  if (typeof settings.title === 'string') {
+    mdTitleInput.value = settings.title;
+  }
+  if (settings.privacy) {
+    [
+      [privacyToggle, settings.privacy.enabled],
+      [privacyPhonesToggle, settings.privacy.redactPhones],
+      [privacyEmailsToggle, settings.privacy.redactEmails],
+      [privacyUrlsToggle, settings.privacy.redactUrls]
+    ].forEach(([toggle, checked]) => {
+      if (toggle) toggle.checked = Boolean(checked);
+    });
+  }
+}
+
+// Restores a "Download analysis" file. The saved statistics are rendered as-is; the
+// statistics index is rebuilt from the saved messages so the range controls keep working.
+async function restoreAnalysisFile(file, loadId) {
+  const { messages, stats: savedStats, settings, exportedAt } = parseAnalysisExport(await file.text());
+  if (!messages.length) {
+    throw new Error('The analysis export does not contain any messages.');
+  }
 
-  fileHelper.textContent = file.name;
+  chatSources = [];
+  mergeSummary = null;
+  transcriptCandidates = [];
+  selectedTranscripts = [];
+  setMediaEntries(new Map());
+  applyDashboardSettings(settings);
+  // Saved messages are already scrubbed if privacy mode was on; re-aliasing them would
+  // replace custom labels, and the real names are not in the file to begin with.
+  sourceMessages = messages;
+  chatStorageKey = getChatStorageKey(messages);
+  participantMapping = loadParticipantMapping(chatStorageKey);
+  renderParticipantManager();
+  allMessages = applyParticipantMapping(messages, participantMapping);
+  await rebuildStatisticsIndex();
+  if (loadId !== fileLoadId) return;
+
+  activeRange = { startDate: settings.startDate || null, endDate: settings.endDate || null };
+  filteredMessages = filterMessagesByDate(allMessages, activeRange.startDate, activeRange.endDate);
+
+  const firstDate = formatDateForInput(fullStats.firstMessageDate);
+  const lastDate = formatDateForInput(fullStats.lastMessageDate);
+  startDateInput.min = firstDate;
+  startDateInput.max = lastDate;
+  endDateInput.min = firstDate;
+  endDateInput.max = lastDate;
+  startDateInput.value = activeRange.startDate || firstDate;
+  endDateInput.value = activeRange.endDate || lastDate;
+
+  enableControls(true);
+  stats = savedStats;
+  renderStats(stats);
+  hideDateFormatChooser();
+  hideParseReport();
+  hideTranscriptChooser();
+  loadStatus.classList.remove('error');
+  updateLoadSuccessMessage();
+  if (exportedAt) {
+    loadStatus.textContent += ` Restored from an analysis saved ${formatDateFriendly(exportedAt)}.`;
+  }
+}
+
+// Snapshots every rendered chart: Chart.js canvases become PNG data URLs and SVG plots
+// are serialised inline. Empty charts (no data in range) are skipped.
+function collectReportCharts() {
+  const blocks = Array.from(document.querySelectorAll('.chart-block'));
+  const charts = blocks.map((block) => {
+    const title = block.querySelector('h3')?.textContent.trim() || 'Chart';
+    const canvas = block.querySelector('canvas');
+    const chart = canvas && typeof Chart !== 'undefined' ? Chart.getChart?.(canvas) : null;
+    if (chart) {
+      return { title, image: chart.toBase64Image() };
+    }
+    const svg = block.querySelector('svg');
+    return svg ? { title, svg: new XMLSerializer().serializeToString(svg) } : null;
+  });
+  const locationSvg = locationPlot?.querySelector('svg');
+  if (locationSvg) {
+    charts.push({ title: 'Shared locations', svg: new XMLSerializer().serializeToString(locationSvg) });
+  }
+  const calendarSvg = calendarHeatmap?.querySelector('svg');
+  if (calendarSvg) {
+    charts.push({ title: 'Activity calendar', svg: new XMLSerializer().serializeToString(calendarSvg) });
+  }
+  if (replyNetworkCanvas && !replyNetworkCanvas.hidden) {
+    charts.push({ title: 'Who replies to whom', image: replyNetworkCanvas.toDataURL('image/png') });
+  }
+  return charts.filter(Boolean);
+}
+
+function prepareHtmlReport() {
+  if (!stats) return;
+  const title = mdTitleInput.value.trim() || 'WhatsApp Chat Report';
+  const range = `${formatDateFriendly(stats.firstMessageDate)} → ${formatDateFriendly(stats.lastMessageDate)}`;
+  const html = buildHtmlReport({
+    title,
+    subtitle: `${stats.totalMessages.toLocaleString()} messages from ${stats.participants.length} participants · ${range}`,
+    cards: getSummaryCards(stats),
+    charts: collectReportCharts(),
+    insights: Array.from(insightList.querySelectorAll('li')).map((item) => item.innerHTML),
+    responseTimes: stats.participants
+      .filter((participant) => stats.responseTimes[participant])
+      .map((participant) => ({ participant, ...stats.responseTimes[participant] })),
+    longestMessages: stats.participants
+      .filter((participant) => stats.longestMessageByParticipant[participant])
+      .map((participant) => ({ participant, ...stats.longestMessageByParticipant[participant] }))
+  });
+  downloadFile(html, `${getExportBaseName()}-report.html`, 'text/html');
+}
+
+// The byte order mark makes spreadsheet apps read the file as UTF-8 (names, emoji).
+function downloadCsv(csv, suffix) {
+  downloadFile(`\uFEFF${csv}`, `${getExportBaseName()}-${suffix}.csv`, 'text/csv');
+}
+
+function prepareCsvExport(kind) {
+  if (!stats) return;
+  if (kind === 'messages') {
+    downloadCsv(buildMessagesCsv(filteredMessages, { languagePack: stats.languagePack }), 'messages');
+  } else if (kind === 'daily') {
+    downloadCsv(buildDailyActivityCsv(stats), 'daily-activity');
+  } else {
+    downloadCsv(buildParticipationCsv(stats), 'participants');
+  }
+}
+
+function prepareGeoJSON() {
+  if (!stats) return;
+  const geojson = buildLocationsGeoJSON(stats.locations);
+  downloadFile(JSON.stringify(geojson, null, 2), `${getExportBaseName()}-locations.geojson`, 'application/geo+json');
+  return geojson.features.length;
+}
+
+async function handleSelectedFiles(files) {
+  if (!files.length) return;
+
+  cancelAnalysis();
+  fileLoadId += 1;
+  const loadId = fileLoadId;
+  fileHelper.textContent = files.length === 1 ? files[0].name : `${files.length} files selected`;
   clearStatus();
-  loadStatus.textContent = 'Parsing chat…';
+  loadStatus.textContent = 'Reading files…';
 
   try {
-    rawChatText = await loadChatFile(file);
-    const parseResult = parseChat(rawChatText);
-    processParsedChat(parseResult);
+    if (files.length === 1 && files[0].name.toLowerCase().endsWith('.json')) {
+      await restoreAnalysisFile(files[0], loadId);
+      return;
+    }
+    const sources = await loadChatSources(files);
+    // A newer selection arrived while this one was still being unzipped.
+    if (loadId !== fileLoadId) return;
+    transcriptCandidates = sources.candidates;
+    setMediaEntries(sources.mediaEntries);
+    await loadSelectedTranscripts(getDefaultTranscripts(transcriptCandidates));
   } catch (error) {
+    if (loadId !== fileLoadId || error?.name === 'AbortError') return;
     console.error(error);
+    transcriptCandidates = [];
+    selectedTranscripts = [];
+    chatSources = [];
+    mergeSummary = null;
     showError(error.message || 'Something went wrong while parsing the chat.');
     enableControls(false);
   }
+}
+
+fileInput.addEventListener('change', (event) => {
+  handleSelectedFiles(Array.from(event.target.files || []));
+});
+
+folderInput?.addEventListener('change', (event) => {
+  handleSelectedFiles(Array.from(event.target.files || []));
 });
 
 applyRangeButton.addEventListener('click', () => {
@@ -1112,6 +3004,26 @@ participantWordSelector?.addEventListener('keydown', (event) => {
   }
 });
 
+languagePackSelect?.addEventListener('change', handleLanguagePackChange);
+
+galleryParticipantSelect?.addEventListener('change', () => {
+  if (stats) renderMediaGallery(stats);
+});
+
+galleryKindSelect?.addEventListener('change', () => {
+  if (stats) renderMediaGallery(stats);
+});
+
+galleryMoreButton?.addEventListener('click', () => {
+  if (stats && galleryItems.length) showMoreGalleryItems();
+});
+
+mediaGalleryGrid?.addEventListener('click', (event) => {
+  const button = event.target.closest('.gallery-context-button');
+  if (!button) return;
+  showGalleryContext(galleryItems[Number(button.dataset.galleryIndex)]);
+});
+
 topWordsIgnoreCommonToggle?.addEventListener('change', (event) => {
   ignoreCommonTopWords = Boolean(event.target.checked);
   renderTopWords(stats);
@@ -1122,9 +3034,50 @@ generateMdButton.addEventListener('click', () => {
   loadStatus.textContent = 'Markdown summary generated!';
 });
 
+downloadAnalysisButton?.addEventListener('click', () => {
+  prepareAnalysisExport();
+  loadStatus.textContent = 'Analysis JSON downloaded. Drop it back onto this page to restore the dashboard.';
+});
+
+participantApplyButton?.addEventListener('click', () => applyParticipantChanges());
+participantResetButton?.addEventListener('click', () => applyParticipantChanges(createEmptyMapping()));
+
+privacyToggle?.addEventListener('change', applyPrivacySettings);
+privacyApplyButton?.addEventListener('click', applyPrivacySettings);
+
+downloadHtmlReportButton?.addEventListener('click', () => {
+  prepareHtmlReport();
+  loadStatus.textContent = 'HTML report downloaded.';
+});
+
+[
+  [downloadMessagesCsvButton, 'messages', 'Message list CSV downloaded.'],
+  [downloadDailyCsvButton, 'daily', 'Daily activity CSV downloaded.'],
+  [downloadParticipantsCsvButton, 'participants', 'Participant table CSV downloaded.']
+].forEach(([button, kind, message]) => {
+  button?.addEventListener('click', () => {
+    prepareCsvExport(kind);
+    loadStatus.textContent = message;
+  });
+});
+
+downloadGeoJsonButton?.addEventListener('click', () => {
+  const count = prepareGeoJSON();
+  loadStatus.textContent = `GeoJSON with ${count} location${count === 1 ? '' : 's'} downloaded.`;
+});
+
 responseGapInput?.addEventListener('input', handleResponseSettingsChange);
 responseOvernightToggle?.addEventListener('change', handleResponseSettingsChange);
 responseOvernightMinutesInput?.addEventListener('input', handleResponseSettingsChange);
+sessionGapInput?.addEventListener('input', handleSessionGapChange);
+calendarParticipantSelect?.addEventListener('change', () => stats && renderCalendarHeatmap(stats));
+calendarHeatmap?.addEventListener('click', handleCalendarClick);
+weekdayHourParticipantSelect?.addEventListener('change', () => stats && renderWeekdayHourHeatmap(stats));
+timelineGranularityButtons.forEach((button) => {
+  button.addEventListener('click', () => setTimelineGranularity(button.dataset.granularity));
+});
+timelineRollingToggle?.addEventListener('change', () => stats && renderTimelineChart(stats));
+timelineStackedToggle?.addEventListener('change', () => stats && renderTimelineChart(stats));
 
 document.addEventListener('dragover', (event) => {
   if (event.target === fileInput || fileInput.contains(event.target)) return;
@@ -1146,6 +3099,7 @@ window.addEventListener('DOMContentLoaded', () => {
     topWordsIgnoreCommonToggle.checked = false;
   }
   renderTopWords(null);
+  renderLanguagePackOptions();
   if (participantTopWordsList) {
     participantTopWordsList.innerHTML = '<li>No participants yet</li>';
   }
@@ -1,39 +1,195 @@
+import {
+  getLanguagePack,
+  detectLanguagePack,
+  classifyMedia,
+  isDeletedNotice,
+  isAttributedSystemNotice,
+  isViewOnceNotice,
+  isPendingNotice,
+  stripEditedMarker
+} from './languagePacks.js';
+import { REDACTION_TOKEN_PATTERN } from './privacy.js';
+
+const MERIDIEM_SOURCE = '[AaPp]\\.?\\s?[Mm]\\.?|上午|下午|午前|午後|오전|오후';
+const TIME_SOURCE = `(?:(?:${MERIDIEM_SOURCE})\\s?)?\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:\\s?(?:${MERIDIEM_SOURCE}))?`;
+const DATE_TIME_GAP_SOURCE = '(?:,\\s*|\\s+)(?:(?:klo|à|um|в)\\s+)?';
+
+const meridiemMarkers = {
+  am: 'AM',
+  上午: 'AM',
+  午前: 'AM',
+  오전: 'AM',
+  pm: 'PM',
+  下午: 'PM',
+  午後: 'PM',
+  오후: 'PM'
+};
+
+// Each entry describes one family of export headers. `fields` maps capture groups onto
+// date parts; `order` is set when the pattern fixes the date order (e.g. year-first
+// locales), otherwise day/month order is inferred by `determineDateFormat`.
 const headerPatterns = [
   {
-    regex: /^\[(\d{1,2})\/(\d{1,2})\/(\d{2,4}),\s([^\]]+)\]\s(.+)$/
+    id: 'ios-slash',
+    label: 'iOS, slash-separated dates (English, Spanish, French, Italian, Portuguese)',
+    regex: new RegExp(`^\\[(\\d{1,2})\\/(\\d{1,2})\\/(\\d{2,4})${DATE_TIME_GAP_SOURCE}([^\\]]+)\\]\\s(.+)$`),
+    fields: ['day', 'month', 'year', 'time', 'rest'],
+    order: null
   },
   {
-    regex: /^(\d{1,2})\/(\d{1,2})\/(\d{2,4}),\s(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?)\s-\s(.+)$/
+    id: 'ios-dot',
+    label: 'iOS, dot-separated dates (German, Russian, Finnish)',
+    regex: new RegExp(`^\\[(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2,4})${DATE_TIME_GAP_SOURCE}([^\\]]+)\\]\\s(.+)$`),
+    fields: ['day', 'month', 'year', 'time', 'rest'],
+    order: null
+  },
+  {
+    id: 'ios-dash',
+    label: 'iOS, dash-separated dates (Dutch)',
+    regex: new RegExp(`^\\[(\\d{1,2})-(\\d{1,2})-(\\d{2,4})${DATE_TIME_GAP_SOURCE}([^\\]]+)\\]\\s(.+)$`),
+    fields: ['day', 'month', 'year', 'time', 'rest'],
+    order: null
+  },
+  {
+    id: 'ios-ymd',
+    label: 'iOS, year-first dates (Chinese, Japanese, Korean, ISO)',
+    regex: new RegExp(`^\\[(\\d{4})[\\/.-]\\s?(\\d{1,2})[\\/.-]\\s?(\\d{1,2})\\.?${DATE_TIME_GAP_SOURCE}([^\\]]+)\\]\\s(.+)$`),
+    fields: ['year', 'month', 'day', 'time', 'rest'],
+    order: 'YMD'
+  },
+  {
+    id: 'android-slash',
+    label: 'Android, slash-separated dates (English, Spanish, French, Italian, Portuguese)',
+    regex: new RegExp(`^(\\d{1,2})\\/(\\d{1,2})\\/(\\d{2,4})${DATE_TIME_GAP_SOURCE}(${TIME_SOURCE})\\s[-–]\\s(.+)$`),
+    fields: ['day', 'month', 'year', 'time', 'rest'],
+    order: null
+  },
+  {
+    id: 'android-dot',
+    label: 'Android, dot-separated dates (German, Russian, Finnish)',
+    regex: new RegExp(`^(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2,4})${DATE_TIME_GAP_SOURCE}(${TIME_SOURCE})\\s[-–]\\s(.+)$`),
+    fields: ['day', 'month', 'year', 'time', 'rest'],
+    order: null
+  },
+  {
+    id: 'android-dash',
+    label: 'Android, dash-separated dates (Dutch)',
+    regex: new RegExp(`^(\\d{1,2})-(\\d{1,2})-(\\d{2,4})${DATE_TIME_GAP_SOURCE}(${TIME_SOURCE})\\s[-–]\\s(.+)$`),
+    fields: ['day', 'month', 'year', 'time', 'rest'],
+    order: null
+  },
+  {
+    id: 'android-ymd',
+    label: 'Android, year-first dates (Chinese, Japanese, Korean, ISO)',
+    regex: new RegExp(`^(\\d{4})[\\/.-]\\s?(\\d{1,2})[\\/.-]\\s?(\\d{1,2})\\.?${DATE_TIME_GAP_SOURCE}(${TIME_SOURCE})\\s[-–]\\s(.+)$`),
+    fields: ['year', 'month', 'day', 'time', 'rest'],
+    order: 'YMD'
   }
 ];
 
+const timePattern = new RegExp(`^(?:(${MERIDIEM_SOURCE})\\s?)?(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?(?:\\s?(${MERIDIEM_SOURCE}))?$`);
+
+const PEOPLE_SOURCE = '(?<target>.+?)';
+const ACTOR_SOURCE = '(?<actor>.+?)';
+
+// Group notices in the order they should be tried; the first match wins.
+const systemEventPatterns = [
+  { kind: 'encryption', regex: /^(?:messages and calls are end-to-end encrypted|your messages and calls are end-to-end encrypted)/i },
+  { kind: 'group-created', regex: new RegExp(`^${ACTOR_SOURCE} created (?:the )?group(?: "(?<detail>.*)")?$`, 'i') },
+  { kind: 'member-joined', regex: new RegExp(`^${ACTOR_SOURCE} joined using (?:this group's|an) invite link$`, 'i') },
+  { kind: 'member-added', regex: new RegExp(`^${ACTOR_SOURCE} added ${PEOPLE_SOURCE}$`, 'i') },
+  { kind: 'member-removed', regex: new RegExp(`^${ACTOR_SOURCE} removed ${PEOPLE_SOURCE}$`, 'i') },
+  { kind: 'member-left', regex: new RegExp(`^${ACTOR_SOURCE} left$`, 'i') },
+  { kind: 'admin-added', regex: new RegExp(`^${ACTOR_SOURCE} made ${PEOPLE_SOURCE} (?:an )?admins?$`, 'i') },
+  { kind: 'admin-added', regex: new RegExp(`^${PEOPLE_SOURCE}(?: is| are|'re|’re) now (?:an )?admins?$`, 'i') },
+  { kind: 'admin-removed', regex: new RegExp(`^${ACTOR_SOURCE} dismissed ${PEOPLE_SOURCE} as admins?$`, 'i') },
+  { kind: 'admin-removed', regex: new RegExp(`^${PEOPLE_SOURCE}(?: is| are|'re|’re) no longer (?:an )?admins?$`, 'i') },
+  { kind: 'subject-changed', regex: new RegExp(`^${ACTOR_SOURCE} changed the (?:group name|subject)(?: from "(?<previous>.*)")? to "(?<detail>.*)"$`, 'i') },
+  { kind: 'description-changed', regex: new RegExp(`^${ACTOR_SOURCE} (?:changed|deleted) the group description`, 'i') },
+  { kind: 'icon-changed', regex: new RegExp(`^${ACTOR_SOURCE} (?:changed|deleted) (?:this group's|the group) icon$`, 'i') },
+  { kind: 'number-changed', regex: new RegExp(`^${ACTOR_SOURCE} changed (?:their phone number to a new number|to ${PEOPLE_SOURCE})(?:\\. .*)?$`, 'i') },
+  { kind: 'disappearing-messages', regex: new RegExp(`^${ACTOR_SOURCE} turned (?<detail>on|off) disappearing messages`, 'i') },
+  { kind: 'disappearing-messages', regex: /^disappearing messages (?:were|are) turned (?<detail>on|off)/i }
+];
+
+export const MEDIA_KIND_LABELS = {
+  photo: { singular: 'photo', plural: 'photos' },
+  video: { singular: 'video', plural: 'videos' },
+  voice: { singular: 'voice note', plural: 'voice notes' },
+  sticker: { singular: 'sticker', plural: 'stickers' },
+  gif: { singular: 'GIF', plural: 'GIFs' },
+  document: { singular: 'document', plural: 'documents' },
+  contact: { singular: 'contact card', plural: 'contact cards' },
+  location: { singular: 'location', plural: 'locations' },
+  other: { singular: 'other attachment', plural: 'other attachments' }
+};
+
+export const GROUP_EVENT_LABELS = {
+  encryption: 'Encryption notice',
+  'group-created': 'Group created',
+  'member-joined': 'Joined via link',
+  'member-added': 'Member added',
+  'member-removed': 'Member removed',
+  'member-left': 'Member left',
+  'admin-added': 'Admin added',
+  'admin-removed': 'Admin removed',
+  'subject-changed': 'Subject changed',
+  'description-changed': 'Description changed',
+  'icon-changed': 'Icon changed',
+  'number-changed': 'Number changed',
+  'disappearing-messages': 'Disappearing messages'
+};
+
 const stopWords = new Set([
   'the','and','you','for','that','with','this','have','but','not','are','your','was','get','got','just','they','them','what','when','from','there','their','would','could','about','will','cant','dont','didnt','im','its','were','had','has','how','all','out','now','like','yeah','yes','she','his','her','who','him','our','one','why','too','wasnt','havent','into','then','than','ill','ive','did','okay','ok','sure','well','also','more','some','been','over','here','back','much','make','really','know','going','want','time','see','let','say','good','thanks','thank','thats','doesnt','aint','u','ur','lol','omg','lmfao','lmao','haha','hahaha','http','https','to','is','in','on','at','we','me','my','do','if','as','be','an','or','by','no','up','so','it','he','ya','oh','hadnt','should','ive','theyll','theyd','theirs','ours','mine','of','can'
 ]);
 
 function matchMessageHeader(line) {
-  for (const { regex } of headerPatterns) {
-    const match = line.match(regex);
+  for (const pattern of headerPatterns) {
+    const match = line.match(pattern.regex);
     if (match) {
-      return {
-        day: match[1],
-        month: match[2],
-        year: match[3],
-        time: match[4].replace(/[\u202f\u00a0]/g, ' ').trim(),
-        rest: match[5]
+      const header = {
+        patternId: pattern.id,
+        order: pattern.order
       };
+      pattern.fields.forEach((field, index) => {
+        header[field] = match[index + 1];
+      });
+      header.time = header.time.replace(/[\u202f\u00a0]/g, ' ').trim();
+      return header;
     }
   }
   return null;
 }
 
+function pickDominantPattern(patternCounts) {
+  let dominantPatternId = null;
+  for (const [id, count] of patternCounts.entries()) {
+    if (!dominantPatternId || count > patternCounts.get(dominantPatternId)) {
+      dominantPatternId = id;
+    }
+  }
+  return dominantPatternId;
+}
+
+function describeHeaderPattern(id) {
+  const pattern = headerPatterns.find((candidate) => candidate.id === id);
+  return pattern ? { id: pattern.id, label: pattern.label } : null;
+}
+
 function determineDateFormat(lines) {
   const ambiguousSamples = [];
+  let fixedOrder = null;
 
   for (const line of lines) {
     const header = matchMessageHeader(line);
     if (!header) continue;
 
+    if (header.order) {
+      fixedOrder = fixedOrder || header.order;
+      continue;
+    }
+
     const first = parseInt(header.day, 10);
     const second = parseInt(header.month, 10);
 
@@ -54,7 +210,7 @@ function determineDateFormat(lines) {
   }
 
   if (!ambiguousSamples.length) {
-    return { format: 'DMY', ambiguous: false, candidates: [] };
+    return { format: fixedOrder || 'DMY', ambiguous: false, candidates: [] };
   }
 
   const evaluateFormat = (format) => {
@@ -118,6 +274,7 @@ function parseDate(day, month, year, timeStr, format) {
   let m = parseInt(month, 10);
   let y = parseInt(year, 10);
 
+  // Year-first headers already capture their parts in place, so only MDY needs a swap.
   if (format === 'MDY') {
     [d, m] = [m, d];
   }
@@ -130,25 +287,34 @@ function parseDate(day, month, year, timeStr, format) {
   let minutes = 0;
   let seconds = 0;
   let period = null;
-  const timeMatch = timeStr.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s?([AP]M))?$/i);
+  const timeMatch = timeStr.replace(/[\u202f\u00a0]/g, ' ').trim().match(timePattern);
   if (timeMatch) {
-    hours = parseInt(timeMatch[1], 10);
-    minutes = parseInt(timeMatch[2], 10);
-    seconds = timeMatch[3] ? parseInt(timeMatch[3], 10) : 0;
-    period = timeMatch[4];
+    hours = parseInt(timeMatch[2], 10);
+    minutes = parseInt(timeMatch[3], 10);
+    seconds = timeMatch[4] ? parseInt(timeMatch[4], 10) : 0;
+    period = resolveMeridiem(timeMatch[1] || timeMatch[5]);
   }
 
-  if (period) {
-    const upper = period.toUpperCase();
-    if (upper === 'PM' && hours < 12) {
-      hours += 12;
-    }
-    if (upper === 'AM' && hours === 12) {
-      hours = 0;
-    }
+  if (period === 'PM' && hours < 12) {
+    hours += 12;
+  }
+  if (period === 'AM' && hours === 12) {
+    hours = 0;
+  }
+
+  // Out-of-range parts would otherwise roll over (13/25 becoming January), hiding a
+  // mis-detected format; they become invalid dates that parseChat reports and drops.
+  const date = new Date(y, m - 1, d, hours, minutes, seconds);
+  if (date.getMonth() !== m - 1 || date.getDate() !== d || hours > 23 || minutes > 59 || seconds > 59) {
+    return new Date(NaN);
   }
+  return date;
+}
 
-  return new Date(y, m - 1, d, hours, minutes, seconds);
+function resolveMeridiem(marker) {
+  if (!marker) return null;
+  const key = marker.toLowerCase().replace(/[\s.]/g, '');
+  return meridiemMarkers[key] || null;
 }
 
 function formatLocalDateKey(date) {
@@ -167,13 +333,243 @@ function formatLocalDateTime(date) {
   return `${year}-${month}-${day} ${hours}:${minutes}`;
 }
 
+function formatLocalTimestamp(date) {
+  const seconds = String(date.getSeconds()).padStart(2, '0');
+  return `${formatLocalDateTime(date)}:${seconds}`;
+}
+
 function normaliseAuthor(author) {
   if (!author) return 'System';
-  return author.replace(/^"|"$/g, '').trim();
+  // Exports wrap phone numbers in bidi isolation marks (U+202A…U+202C, U+2066…U+2069).
+  return author
+    .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '')
+    .replace(/^"|"$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function classifySystemEvent(content) {
+  const text = (content || '').replace(/[\u200e\u200f]/g, '').trim();
+  for (const { kind, regex } of systemEventPatterns) {
+    const match = text.match(regex);
+    if (match) {
+      const groups = match.groups || {};
+      return {
+        kind,
+        actor: groups.actor ? normaliseAuthor(groups.actor) : null,
+        target: groups.target ? groups.target.trim() : null,
+        detail: groups.detail ?? null,
+        previous: groups.previous ?? null
+      };
+    }
+  }
+  return null;
+}
+
+export function describeGroupEvent(event) {
+  const actor = event.actor || 'Someone';
+  const target = event.target || 'someone';
+  switch (event.kind) {
+    case 'encryption':
+      return 'Messages became end-to-end encrypted';
+    case 'group-created':
+      return event.detail ? `${actor} created the group "${event.detail}"` : `${actor} created the group`;
+    case 'member-joined':
+      return `${actor} joined via invite link`;
+    case 'member-added':
+      return `${actor} added ${target}`;
+    case 'member-removed':
+      return `${actor} removed ${target}`;
+    case 'member-left':
+      return `${actor} left`;
+    case 'admin-added':
+      return event.actor ? `${actor} made ${target} an admin` : `${target} became an admin`;
+    case 'admin-removed':
+      return event.actor ? `${actor} dismissed ${target} as admin` : `${target} is no longer an admin`;
+    case 'subject-changed':
+      return event.previous
+        ? `${actor} renamed the group from "${event.previous}" to "${event.detail}"`
+        : `${actor} renamed the group to "${event.detail}"`;
+    case 'description-changed':
+      return `${actor} changed the group description`;
+    case 'icon-changed':
+      return `${actor} changed the group icon`;
+    case 'number-changed':
+      return event.target ? `${actor} changed their number to ${target}` : `${actor} changed their phone number`;
+    case 'disappearing-messages':
+      return `${event.actor ? `${actor} turned` : 'Turned'} ${event.detail || 'on'} disappearing messages`;
+    default:
+      return GROUP_EVENT_LABELS[event.kind] || 'Group change';
+  }
+}
+
+const pollOptionPattern = /^OPTION:\s*(.*?)\s*\((\d+)\s+votes?\)\s*$/i;
+
+// Polls are exported as a `POLL:` line, the question, then one `OPTION:` line per answer.
+function parsePoll(content) {
+  const lines = content.split('\n').map((line) => line.trim());
+  if (!/^POLL:/i.test(lines[0] || '')) return null;
+
+  const questionParts = [lines[0].replace(/^POLL:\s*/i, '')];
+  const options = [];
+  for (const line of lines.slice(1)) {
+    const optionMatch = line.match(pollOptionPattern);
+    if (optionMatch) {
+      options.push({ text: optionMatch[1], votes: parseInt(optionMatch[2], 10) });
+    } else if (!options.length) {
+      questionParts.push(line);
+    }
+  }
+  if (!options.length) return null;
+
+  return {
+    question: questionParts.filter(Boolean).join(' '),
+    options,
+    totalVotes: options.reduce((sum, option) => sum + option.votes, 0)
+  };
+}
+
+const callPattern = /^(?:(missed|silenced)\s+)?(?:(incoming|outgoing)\s+)?(group\s+)?(voice|video)\s+call(?:\s*[,.]\s*(.*))?$/i;
+
+function parseCallDuration(text) {
+  if (!text) return null;
+  const hours = text.match(/(\d+)\s*(?:hr|hrs|hours?|h)\b/i);
+  const minutes = text.match(/(\d+)\s*(?:min|mins|minutes?)\b/i);
+  const seconds = text.match(/(\d+)\s*(?:sec|secs|seconds?|s)\b/i);
+  if (!hours && !minutes && !seconds) return null;
+  return (hours ? parseInt(hours[1], 10) * 3600 : 0)
+    + (minutes ? parseInt(minutes[1], 10) * 60 : 0)
+    + (seconds ? parseInt(seconds[1], 10) : 0);
+}
+
+// Call log lines carry no explicit direction, so unless WhatsApp spells it out the
+// call is treated as outgoing when the exporting user ("You") placed it.
+function parseCall(content, author) {
+  const text = content.replace(/[\u200e\u200f]/g, '').trim();
+  if (text.includes('\n')) return null;
+  const match = text.match(callPattern);
+  if (!match) return null;
+
+  const [, missedPrefix, explicitDirection, groupPrefix, medium, rest = ''] = match;
+  const missed = Boolean(missedPrefix) || /\b(?:no answer|declined|missed)\b/i.test(rest);
+  const durationSeconds = missed ? 0 : parseCallDuration(rest);
+  const direction = explicitDirection
+    ? explicitDirection.toLowerCase()
+    : /^you$/i.test(author) ? 'outgoing' : 'incoming';
+
+  return {
+    medium: medium.toLowerCase(),
+    group: Boolean(groupPrefix),
+    missed,
+    direction,
+    durationSeconds: durationSeconds ?? 0
+  };
+}
+
+function finaliseMessage(message) {
+  message.content = message.content.trim();
+  if (message.type === 'message') {
+    const poll = parsePoll(message.content);
+    const call = poll ? null : parseCall(message.content, message.author);
+    if (poll) {
+      message.type = 'poll';
+      message.poll = poll;
+    } else if (call) {
+      message.type = 'call';
+      message.call = call;
+    }
+  }
+  return message;
+}
+
+// Marks messages that stand in for content the export does not contain: deleted
+// messages, view-once media and "waiting for this message" notices. Edited messages keep
+// their text, minus the trailing edit marker.
+function flagPlaceholders(message, languagePack) {
+  if (message.type === 'system') return;
+  const { content, edited } = stripEditedMarker(message.content, languagePack);
+  message.content = content;
+  message.edited = edited;
+  message.deleted = isDeletedNotice(content, languagePack);
+  message.viewOnce = isViewOnceNotice(content, languagePack);
+  message.pending = isPendingNotice(content, languagePack);
+}
+
+// Cheap check used to tell WhatsApp transcripts apart from other text files by counting
+// recognised message headers near the top of the file.
+export function detectChatTranscript(rawText, { maxLines = 200 } = {}) {
+  if (!rawText) {
+    return { headerCount: 0, headerPattern: null };
+  }
+  const lines = rawText.replace(/\uFEFF/g, '').split(/\r?\n/, maxLines);
+  const patternCounts = new Map();
+  let headerCount = 0;
+  for (const line of lines) {
+    const header = matchMessageHeader(line);
+    if (!header) continue;
+    headerCount += 1;
+    patternCounts.set(header.patternId, (patternCounts.get(header.patternId) || 0) + 1);
+  }
+  return {
+    headerCount,
+    headerPattern: describeHeaderPattern(pickDominantPattern(patternCounts))
+  };
+}
+
+// How many lines or messages are processed between onProgress callbacks.
+const PROGRESS_INTERVAL = 5000;
+
+// Each diagnostic keeps its full count but only the first few samples, so a badly
+// mis-parsed export does not produce a report as large as the chat itself.
+const DIAGNOSTIC_SAMPLE_LIMIT = 20;
+const DIAGNOSTIC_SNIPPET_LENGTH = 120;
+
+function createDiagnostic() {
+  return { count: 0, samples: [] };
+}
+
+function recordDiagnostic(diagnostic, line, text, extra = {}) {
+  diagnostic.count += 1;
+  if (diagnostic.samples.length < DIAGNOSTIC_SAMPLE_LIMIT) {
+    const snippet = text.length > DIAGNOSTIC_SNIPPET_LENGTH ? `${text.slice(0, DIAGNOSTIC_SNIPPET_LENGTH - 1)}…` : text;
+    diagnostic.samples.push({ line, snippet, ...extra });
+  }
+}
+
+// How sure the parser is about day/month order: "certain" when a header could only be
+// read one way, "likely" when the other order would put timestamps out of sequence and
+// "low" when only the overall time span told the two apart.
+function describeDateFormatConfidence(determination, override) {
+  if (override) {
+    return { level: 'override', reason: 'Day/month order was chosen manually.' };
+  }
+  if (!determination.ambiguous) {
+    return { level: 'certain', reason: 'At least one header can only be read one way.' };
+  }
+  const chosen = determination.candidates.find((candidate) => candidate.format === determination.format);
+  const other = determination.candidates.find((candidate) => candidate !== chosen);
+  if (other.decreases > chosen.decreases) {
+    const extra = other.decreases - chosen.decreases;
+    return {
+      level: 'likely',
+      reason: `Reading dates as ${other.format} would put ${extra} more sampled timestamp${extra === 1 ? '' : 's'} out of order.`
+    };
+  }
+  return { level: 'low', reason: `Every sampled date is valid both ways; ${chosen.format} was picked because it spans less time.` };
+}
+
+function createParseDiagnostics() {
+  return {
+    totalLines: 0,
+    orphanLines: createDiagnostic(),
+    invalidDates: createDiagnostic(),
+    outOfOrder: createDiagnostic(),
+    dateFormat: null
+  };
 }
 
 export function parseChat(rawText, options = {}) {
-  const { dateFormat: dateFormatOverride } = options;
+  const { dateFormat: dateFormatOverride, languagePack: languagePackOverride, onProgress } = options;
 
   if (!rawText) {
     return {
@@ -181,7 +577,11 @@ export function parseChat(rawText, options = {}) {
       dateFormat: dateFormatOverride || 'DMY',
       ambiguous: false,
       candidates: [],
-      usedOverride: Boolean(dateFormatOverride)
+      usedOverride: Boolean(dateFormatOverride),
+      headerPattern: null,
+      languagePack: null,
+      detectedLanguagePack: null,
+      diagnostics: createParseDiagnostics()
     };
   }
   const text = rawText.replace(/\uFEFF/g, '');
@@ -190,65 +590,214 @@ export function parseChat(rawText, options = {}) {
   const format = dateFormatOverride || determination.format;
 
   const messages = [];
+  const messageLines = [];
+  const patternCounts = new Map();
+  const diagnostics = createParseDiagnostics();
+  diagnostics.totalLines = lines.length;
+  diagnostics.dateFormat = {
+    format,
+    ...describeDateFormatConfidence(determination, dateFormatOverride)
+  };
   let current = null;
 
-  for (const line of lines) {
+  for (const [index, line] of lines.entries()) {
+    if (onProgress && index % PROGRESS_INTERVAL === 0) {
+      onProgress(index / lines.length);
+    }
     const header = matchMessageHeader(line);
     if (header) {
       if (current) {
-        current.content = current.content.trim();
-        messages.push(current);
+        messages.push(finaliseMessage(current));
       }
-      const timestamp = parseDate(header.day, header.month, header.year, header.time, format);
+      patternCounts.set(header.patternId, (patternCounts.get(header.patternId) || 0) + 1);
+      messageLines.push(index + 1);
+      const timestamp = parseDate(header.day, header.month, header.year, header.time, header.order || format);
       const authorSplit = header.rest.split(/:\s/);
-      if (authorSplit.length >= 2) {
-        const author = normaliseAuthor(authorSplit.shift());
-        const content = authorSplit.join(': ').trim();
+      const authoredContent = authorSplit.length >= 2 ? authorSplit.slice(1).join(': ').trim() : '';
+      // iOS attributes group notices to the group (or a member) and marks them with U+200E.
+      const authoredEvent = authoredContent.startsWith('\u200e') ? classifySystemEvent(authoredContent) : null;
+      if (authorSplit.length >= 2 && !authoredEvent) {
         current = {
           timestamp,
-          author,
-          content,
+          author: normaliseAuthor(authorSplit[0]),
+          content: authoredContent,
           type: 'message'
         };
       } else {
+        const content = authoredEvent ? authoredContent.replace(/^\u200e/, '') : header.rest.trim();
         current = {
           timestamp,
           author: 'System',
-          content: header.rest.trim(),
-          type: 'system'
+          content,
+          type: 'system',
+          event: authoredEvent || classifySystemEvent(content)
         };
       }
     } else if (current) {
       current.content += `\n${line}`;
+    } else if (line.trim()) {
+      recordDiagnostic(diagnostics.orphanLines, index + 1, line.trim());
     }
   }
 
   if (current) {
-    current.content = current.content.trim();
-    messages.push(current);
+    messages.push(finaliseMessage(current));
   }
 
-  const filtered = messages.filter((msg) => !Number.isNaN(msg.timestamp.getTime()));
+  const filtered = [];
+  let previous = null;
+  messages.forEach((message, position) => {
+    const line = messageLines[position];
+    const firstLine = lines[line - 1].trim();
+    if (Number.isNaN(message.timestamp.getTime())) {
+      recordDiagnostic(diagnostics.invalidDates, line, firstLine);
+      return;
+    }
+    if (previous && message.timestamp < previous.message.timestamp) {
+      recordDiagnostic(diagnostics.outOfOrder, line, firstLine, { previousLine: previous.line });
+    }
+    previous = { message, line };
+    filtered.push(message);
+  });
+  const detectedLanguagePack = detectLanguagePack(filtered);
+  const languagePack = getLanguagePack(languagePackOverride) || detectedLanguagePack;
+  filtered.forEach((message) => flagPlaceholders(message, languagePack));
 
   return {
     messages: filtered,
     dateFormat: format,
     ambiguous: determination.ambiguous,
     candidates: determination.candidates,
-    usedOverride: Boolean(dateFormatOverride)
+    usedOverride: Boolean(dateFormatOverride),
+    headerPattern: describeHeaderPattern(pickDominantPattern(patternCounts)),
+    languagePack: languagePack.id,
+    detectedLanguagePack: detectedLanguagePack.id,
+    diagnostics
+  };
+}
+
+// Identifies a message independently of how the export was written. iOS headers carry
+// seconds and Android ones do not, and the two describe attachments and deleted
+// messages differently, so timestamps are compared to the minute and all media alike:
+// an iOS "image omitted" is an Android "<Media omitted>", whose kind is unknown.
+function getMergeKey(message, languagePack) {
+  const minute = Math.floor(message.timestamp.getTime() / 60000);
+  const author = message.type === 'system' ? '' : message.author.toLowerCase();
+  let content;
+  if (message.deleted) {
+    content = 'deleted';
+  } else {
+    const mediaMessage = message.type === 'message' && classifyMedia(message.content, languagePack) !== null;
+    content = mediaMessage
+      ? 'media'
+      : message.content.normalize('NFC').replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '').replace(/\s+/g, ' ').trim();
+  }
+  return `${minute}|${message.type === 'system' ? 'system' : author}|${content}`;
+}
+
+// Merges separately parsed exports of the same chat, e.g. periodic re-exports with
+// overlapping windows. A message is a duplicate when an earlier file already holds as
+// many copies of it, so repeated identical messages within one export are kept.
+// The parse result of the largest export supplies the format details.
+export function mergeChatExports(exports) {
+  const mergedCounts = new Map();
+  const merged = [];
+  const sources = [];
+
+  for (const { name, result } of exports) {
+    const languagePack = getLanguagePack(result.languagePack);
+    const seen = new Map();
+    const additions = new Map();
+    let added = 0;
+    for (const message of result.messages) {
+      const key = getMergeKey(message, languagePack);
+      const occurrence = (seen.get(key) || 0) + 1;
+      seen.set(key, occurrence);
+      if (occurrence <= (mergedCounts.get(key) || 0)) continue;
+      additions.set(key, (additions.get(key) || 0) + 1);
+      merged.push(message);
+      added += 1;
+    }
+    for (const [key, count] of additions) {
+      mergedCounts.set(key, (mergedCounts.get(key) || 0) + count);
+    }
+    const first = result.messages[0]?.timestamp || null;
+    const last = result.messages.at(-1)?.timestamp || null;
+    sources.push({
+      name,
+      total: result.messages.length,
+      added,
+      duplicates: result.messages.length - added,
+      firstMessageDate: first,
+      lastMessageDate: last
+    });
+  }
+
+  merged.sort((a, b) => a.timestamp - b.timestamp);
+
+  const primary = exports.reduce(
+    (best, entry) => (!best || entry.result.messages.length > best.result.messages.length ? entry : best),
+    null
+  );
+  const diagnostics = {
+    ...primary.result.diagnostics,
+    totalLines: 0,
+    orphanLines: createDiagnostic(),
+    invalidDates: createDiagnostic(),
+    outOfOrder: createDiagnostic()
+  };
+  for (const { name, result } of exports) {
+    diagnostics.totalLines += result.diagnostics.totalLines;
+    for (const key of ['orphanLines', 'invalidDates', 'outOfOrder']) {
+      diagnostics[key].count += result.diagnostics[key].count;
+      const room = DIAGNOSTIC_SAMPLE_LIMIT - diagnostics[key].samples.length;
+      diagnostics[key].samples.push(...result.diagnostics[key].samples.slice(0, room).map((sample) => ({ ...sample, file: name })));
+    }
+  }
+
+  return {
+    ...primary.result,
+    messages: merged,
+    ambiguous: exports.some(({ result }) => result.ambiguous),
+    diagnostics,
+    sources
   };
 }
 
-function isMediaMessage(content) {
-  if (!content) return false;
-  const lc = content.toLowerCase();
-  return lc.includes('omitted') || lc.includes('<media') || lc.includes('image omitted') || lc.includes('video omitted');
+const mapUrlPattern = /https?:\/\/(?:maps\.google\.[a-z.]+|(?:www\.)?google\.[a-z.]+\/maps|maps\.apple\.com|goo\.gl\/maps|maps\.app\.goo\.gl)\S*/i;
+const coordinatePatterns = [
+  /[?&](?:q|ll|query|center|sll|daddr)=(-?\d{1,2}(?:\.\d+)?)(?:,|%2C)\s?(-?\d{1,3}(?:\.\d+)?)/i,
+  /@(-?\d{1,2}(?:\.\d+)?),(-?\d{1,3}(?:\.\d+)?)/
+];
+
+// Pulls coordinates out of shared map links. Live-location notices carry no link, so
+// they are reported with null coordinates when the language pack recognises them.
+function extractLocation(content, languagePack) {
+  if (!content) return null;
+  const urlMatch = content.match(mapUrlPattern);
+  if (urlMatch) {
+    const url = urlMatch[0];
+    for (const pattern of coordinatePatterns) {
+      const match = url.match(pattern);
+      if (!match) continue;
+      const latitude = parseFloat(match[1]);
+      const longitude = parseFloat(match[2]);
+      if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+        return { latitude, longitude, live: false, url };
+      }
+    }
+  }
+  if (classifyMedia(content, languagePack) === 'location') {
+    return { latitude: null, longitude: null, live: !urlMatch, url: urlMatch ? urlMatch[0] : null };
+  }
+  return null;
 }
 
 function extractWords(content) {
   return content
     .toLowerCase()
     .replace(/https?:\/\/\S+/g, '')
+    .replace(REDACTION_TOKEN_PATTERN, '')
     .replace(/[^\p{L}\p{N}\s']/gu, ' ')
     .split(/\s+/)
     .map((word) => word.replace(/^'+|'+$/g, '').replace(/'/g, ''))
@@ -276,48 +825,300 @@ function calculateMedian(values) {
   return (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
-export function computeStatistics(messages, options = {}) {
-  const {
-    responseGapMinutes,
-    overnightBufferMinutes
-  } = options;
-
+function resolveResponseGap({ responseGapMinutes, overnightBufferMinutes } = {}) {
   const baseResponseGap = typeof responseGapMinutes === 'number' && responseGapMinutes > 0
     ? responseGapMinutes
     : null;
   const overnightBuffer = typeof overnightBufferMinutes === 'number' && overnightBufferMinutes > 0
     ? overnightBufferMinutes
     : 0;
+  return { baseResponseGap, overnightBuffer };
+}
 
-  if (!messages.length) {
-    return {
-      totalMessages: 0,
-      totalWords: 0,
-      overallAverageWordsPerMessage: 0,
-      participants: [],
-      messageCountByParticipant: {},
-      wordCountByParticipant: {},
-      averageWordsPerMessage: {},
-      mediaCount: 0,
-      systemCount: 0,
-      firstMessageDate: null,
-      lastMessageDate: null,
-      messagesByDate: new Map(),
-      messagesByHour: new Array(24).fill(0),
-      topWords: [],
-      topEmojis: [],
-      topWordsByParticipant: {},
-      averageMessageLength: {},
-      busiestDay: null,
-      busiestHour: null,
-      longestStreak: 0,
-      longestStreakRange: null,
-      responseTimes: {},
-      longestMessageByParticipant: {},
-      responseGapMinutes: baseResponseGap,
-      responseGapOvernightBufferMinutes: baseResponseGap ? overnightBuffer : 0,
-      wordFrequency: {}
+// Minutes of silence after which the next message starts a new conversation session.
+export const DEFAULT_SESSION_GAP_MINUTES = 60;
+
+function resolveSessionGap({ sessionGapMinutes } = {}) {
+  return typeof sessionGapMinutes === 'number' && sessionGapMinutes > 0
+    ? sessionGapMinutes
+    : DEFAULT_SESSION_GAP_MINUTES;
+}
+
+function createEmptyStatistics(languagePackId, baseResponseGap, overnightBuffer, sessionGap) {
+  return {
+    totalMessages: 0,
+    totalWords: 0,
+    overallAverageWordsPerMessage: 0,
+    participants: [],
+    messageCountByParticipant: {},
+    wordCountByParticipant: {},
+    averageWordsPerMessage: {},
+    mediaCount: 0,
+    mediaByKind: {},
+    mediaByParticipant: {},
+    mediaByDate: new Map(),
+    deletedCount: 0,
+    editedCount: 0,
+    viewOnceCount: 0,
+    pendingCount: 0,
+    editActivityByParticipant: {},
+    systemCount: 0,
+    groupEvents: [],
+    groupEventCounts: {},
+    polls: [],
+    locations: [],
+    calls: createEmptyCallStats(),
+    sessions: finaliseSessionStats(createSessionStats(sessionGap)),
+    languagePack: languagePackId,
+    firstMessageDate: null,
+    lastMessageDate: null,
+    messagesByDate: new Map(),
+    messagesByDateByParticipant: new Map(),
+    messagesByHour: new Array(24).fill(0),
+    messagesByWeekdayHour: createWeekdayHourMatrix(),
+    messagesByWeekdayHourByParticipant: {},
+    topWords: [],
+    topEmojis: [],
+    topWordsByParticipant: {},
+    averageMessageLength: {},
+    busiestDay: null,
+    busiestHour: null,
+    longestStreak: 0,
+    longestStreakRange: null,
+    responseTimes: {},
+    replyMatrix: {},
+    longestMessageByParticipant: {},
+    responseGapMinutes: baseResponseGap,
+    responseGapOvernightBufferMinutes: baseResponseGap ? overnightBuffer : 0,
+    wordFrequency: {}
+  };
+}
+
+// Rows are weekdays starting on Monday, columns are hours of the day.
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function createWeekdayHourMatrix() {
+  return WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+}
+
+function createDayBucket() {
+  return {
+    firstTimestamp: null,
+    lastTimestamp: null,
+    messageCount: 0,
+    totalWords: 0,
+    mediaCount: 0,
+    deletedCount: 0,
+    editedCount: 0,
+    viewOnceCount: 0,
+    pendingCount: 0,
+    systemCount: 0,
+    messagesByHour: new Array(24).fill(0),
+    messagesByHourByParticipant: {},
+    messageCountByParticipant: {},
+    wordCountByParticipant: {},
+    totalCharsByParticipant: {},
+    wordFrequencyByParticipant: {},
+    longestMessageByParticipant: {},
+    editActivityByParticipant: {},
+    wordFrequency: {},
+    emojiCounts: new Map(),
+    mediaByKind: {},
+    mediaByParticipant: {},
+    media: null,
+    groupEvents: [],
+    groupEventCounts: {},
+    polls: [],
+    locations: [],
+    calls: [],
+    replies: [],
+    timeline: []
+  };
+}
+
+function addCounts(target, source) {
+  for (const [key, count] of Object.entries(source)) {
+    target[key] = (target[key] || 0) + count;
+  }
+  return target;
+}
+
+// Longest messages are ranked by word count, then characters, then the earliest wins.
+function isLongerMessage(candidate, current) {
+  return !current
+    || candidate.wordCount > current.wordCount
+    || (candidate.wordCount === current.wordCount && candidate.charCount > current.charCount)
+    || (candidate.wordCount === current.wordCount && candidate.charCount === current.charCount
+      && candidate.timestamp < current.timestamp);
+}
+
+function addMessageToBucket(bucket, message, languagePack) {
+  const author = message.author;
+  bucket.messageCount += 1;
+  bucket.messagesByHour[message.timestamp.getHours()] += 1;
+  if (!bucket.messagesByHourByParticipant[author]) {
+    bucket.messagesByHourByParticipant[author] = new Array(24).fill(0);
+  }
+  bucket.messagesByHourByParticipant[author][message.timestamp.getHours()] += 1;
+  bucket.messageCountByParticipant[author] = (bucket.messageCountByParticipant[author] || 0) + 1;
+
+  if (!(author in bucket.wordCountByParticipant)) {
+    bucket.wordCountByParticipant[author] = 0;
+    bucket.totalCharsByParticipant[author] = 0;
+    bucket.wordFrequencyByParticipant[author] = {};
+    bucket.longestMessageByParticipant[author] = null;
+    bucket.editActivityByParticipant[author] = { deleted: 0, edited: 0 };
+  }
+
+  const content = message.content || '';
+  const trimmedContent = content.trim();
+  const charCount = trimmedContent.length;
+  let descriptiveWordCount = 0;
+
+  const pollMessage = message.type === 'poll';
+  const mediaKind = pollMessage ? null : classifyMedia(content, languagePack);
+  const mediaMessage = mediaKind !== null;
+  const deletedMessage = !pollMessage && !mediaMessage && (message.deleted || isDeletedNotice(content, languagePack));
+  const viewOnceMessage = !pollMessage && (message.viewOnce || isViewOnceNotice(content, languagePack));
+  const pendingMessage = !pollMessage && !mediaMessage && !deletedMessage
+    && (message.pending || isPendingNotice(content, languagePack));
+  const placeholderMessage = deletedMessage || viewOnceMessage || pendingMessage;
+
+  if (deletedMessage) {
+    bucket.editActivityByParticipant[author].deleted += 1;
+  }
+  if (message.edited) {
+    bucket.editedCount += 1;
+    bucket.editActivityByParticipant[author].edited += 1;
+  }
+  if (viewOnceMessage) {
+    bucket.viewOnceCount += 1;
+  }
+
+  const location = pollMessage ? null : extractLocation(content, languagePack);
+  if (location) {
+    bucket.locations.push({ timestamp: message.timestamp, author, ...location });
+  }
+
+  if (pollMessage) {
+    bucket.polls.push({ timestamp: message.timestamp, author, ...message.poll });
+  } else if (mediaMessage) {
+    bucket.mediaCount += 1;
+    bucket.mediaByKind[mediaKind] = (bucket.mediaByKind[mediaKind] || 0) + 1;
+    if (!bucket.mediaByParticipant[author]) {
+      bucket.mediaByParticipant[author] = {};
+    }
+    bucket.mediaByParticipant[author][mediaKind] = (bucket.mediaByParticipant[author][mediaKind] || 0) + 1;
+    bucket.media = bucket.media || {};
+    bucket.media[mediaKind] = (bucket.media[mediaKind] || 0) + 1;
+  } else if (deletedMessage) {
+    bucket.deletedCount += 1;
+  } else if (pendingMessage) {
+    bucket.pendingCount += 1;
+  } else if (!viewOnceMessage) {
+    const wordList = extractWords(content);
+    bucket.wordCountByParticipant[author] += wordList.length;
+    bucket.totalCharsByParticipant[author] += charCount;
+    bucket.totalWords += wordList.length;
+    const frequency = bucket.wordFrequencyByParticipant[author];
+    for (const word of wordList) {
+      frequency[word] = (frequency[word] || 0) + 1;
+      bucket.wordFrequency[word] = (bucket.wordFrequency[word] || 0) + 1;
+    }
+    for (const emoji of extractEmojis(message.content)) {
+      bucket.emojiCounts.set(emoji, (bucket.emojiCounts.get(emoji) || 0) + 1);
+    }
+    descriptiveWordCount = trimmedContent ? trimmedContent.split(/\s+/).filter(Boolean).length : 0;
+  }
+
+  if (!pollMessage && !mediaMessage && !placeholderMessage && (descriptiveWordCount > 0 || charCount > 0)) {
+    const candidate = {
+      timestamp: message.timestamp,
+      content: message.content,
+      wordCount: descriptiveWordCount,
+      charCount
     };
+    if (isLongerMessage(candidate, bucket.longestMessageByParticipant[author])) {
+      bucket.longestMessageByParticipant[author] = candidate;
+    }
+  }
+}
+
+// Pre-aggregates messages into one bucket per local calendar day. Everything that
+// depends on the text is computed here once; reply times keep their raw gap so the
+// reply-gap settings can still be applied per query.
+export function buildStatisticsIndex(messages, options = {}) {
+  const { languagePack: languagePackId, onProgress } = options;
+  const languagePack = getLanguagePack(languagePackId) || detectLanguagePack(messages);
+  const buckets = new Map();
+  const sortedMessages = [...messages].sort((a, b) => a.timestamp - b.timestamp);
+
+  let previousMessage = null;
+  let previousDateKey = null;
+
+  for (const [index, message] of sortedMessages.entries()) {
+    if (onProgress && index % PROGRESS_INTERVAL === 0) {
+      onProgress(index / sortedMessages.length);
+    }
+
+    const dateKey = formatLocalDateKey(message.timestamp);
+    if (!buckets.has(dateKey)) {
+      buckets.set(dateKey, createDayBucket());
+    }
+    const bucket = buckets.get(dateKey);
+    bucket.firstTimestamp = bucket.firstTimestamp || message.timestamp;
+    bucket.lastTimestamp = message.timestamp;
+
+    if (message.type === 'call') {
+      bucket.calls.push({ author: message.author, call: message.call });
+    } else if (message.type === 'system' || isAttributedSystemNotice(message.content, languagePack)) {
+      bucket.systemCount += 1;
+      if (message.event) {
+        bucket.groupEvents.push({ timestamp: message.timestamp, ...message.event });
+        bucket.groupEventCounts[message.event.kind] = (bucket.groupEventCounts[message.event.kind] || 0) + 1;
+      }
+    } else {
+      addMessageToBucket(bucket, message, languagePack);
+      bucket.timeline.push({ timestamp: message.timestamp, author: message.author });
+
+      if (previousMessage && previousMessage.type !== 'system' && previousMessage.type !== 'call'
+        && previousMessage.author !== message.author) {
+        bucket.replies.push({
+          author: message.author,
+          target: previousMessage.author,
+          minutes: (message.timestamp - previousMessage.timestamp) / 60000,
+          crossesOvernight: message.timestamp.toDateString() !== previousMessage.timestamp.toDateString(),
+          previousDateKey
+        });
+      }
+    }
+
+    previousMessage = message;
+    previousDateKey = dateKey;
+  }
+
+  return {
+    languagePack: languagePack.id,
+    days: Array.from(buckets.keys()),
+    buckets
+  };
+}
+
+// Answers a date range (inclusive `YYYY-MM-DD` bounds, like filterMessagesByDate) by
+// merging day buckets in chronological order, which keeps the output identical to
+// running computeStatistics over the filtered messages.
+export function queryStatisticsIndex(index, options = {}) {
+  const { startDate, endDate } = options;
+  const { baseResponseGap, overnightBuffer } = resolveResponseGap(options);
+  const sessionGap = resolveSessionGap(options);
+  const start = parseDateInput(startDate);
+  const end = parseDateInput(endDate);
+  const startKey = start ? formatLocalDateKey(start) : null;
+  const endKey = end ? formatLocalDateKey(end) : null;
+  const days = index.days.filter((day) => (!startKey || day >= startKey) && (!endKey || day <= endKey));
+
+  if (!days.length) {
+    return createEmptyStatistics(index.languagePack, baseResponseGap, overnightBuffer, sessionGap);
   }
 
   const participantsSet = new Set();
@@ -326,114 +1127,130 @@ export function computeStatistics(messages, options = {}) {
   const totalCharsByParticipant = {};
   const wordFrequencyByParticipant = {};
   const longestMessageByParticipant = {};
+  const editActivityByParticipant = {};
   const messagesByDate = new Map();
+  const messagesByDateByParticipant = new Map();
   const messagesByHour = new Array(24).fill(0);
+  const messagesByWeekdayHour = createWeekdayHourMatrix();
+  const messagesByWeekdayHourByParticipant = {};
   const wordFrequency = {};
   const emojiCounts = new Map();
   const responseTracking = {};
   const responseTimes = {};
+  const replyTracking = {};
+  const groupEvents = [];
+  const groupEventCounts = {};
+  const mediaByKind = {};
+  const mediaByParticipant = {};
+  const mediaByDate = new Map();
+  const polls = [];
+  const locations = [];
+  const calls = createEmptyCallStats();
+  const sessions = createSessionStats(sessionGap);
 
   let totalMessages = 0;
   let totalWords = 0;
   let mediaCount = 0;
+  let deletedCount = 0;
+  let editedCount = 0;
+  let viewOnceCount = 0;
+  let pendingCount = 0;
   let systemCount = 0;
 
-  const sortedMessages = [...messages].sort((a, b) => a.timestamp - b.timestamp);
-
-  let previousMessage = null;
-
-  for (const message of sortedMessages) {
-    if (message.type === 'system') {
-      systemCount += 1;
-      previousMessage = message;
-      continue;
+  for (const day of days) {
+    const bucket = index.buckets.get(day);
+
+    totalMessages += bucket.messageCount;
+    totalWords += bucket.totalWords;
+    mediaCount += bucket.mediaCount;
+    deletedCount += bucket.deletedCount;
+    editedCount += bucket.editedCount;
+    viewOnceCount += bucket.viewOnceCount;
+    pendingCount += bucket.pendingCount;
+    systemCount += bucket.systemCount;
+
+    if (bucket.messageCount) {
+      messagesByDate.set(day, bucket.messageCount);
+      messagesByDateByParticipant.set(day, { ...bucket.messageCountByParticipant });
+    }
+    const weekday = (parseDateInput(day).getDay() + 6) % 7;
+    bucket.messagesByHour.forEach((count, hour) => {
+      messagesByHour[hour] += count;
+      messagesByWeekdayHour[weekday][hour] += count;
+    });
+    for (const [author, hours] of Object.entries(bucket.messagesByHourByParticipant)) {
+      if (!messagesByWeekdayHourByParticipant[author]) {
+        messagesByWeekdayHourByParticipant[author] = createWeekdayHourMatrix();
+      }
+      hours.forEach((count, hour) => {
+        messagesByWeekdayHourByParticipant[author][weekday][hour] += count;
+      });
     }
 
-    const dateKey = formatLocalDateKey(message.timestamp);
-    messagesByDate.set(dateKey, (messagesByDate.get(dateKey) || 0) + 1);
-    messagesByHour[message.timestamp.getHours()] += 1;
+    for (const [author, count] of Object.entries(bucket.messageCountByParticipant)) {
+      participantsSet.add(author);
+      messageCountByParticipant[author] = (messageCountByParticipant[author] || 0) + count;
+      wordCountByParticipant[author] = (wordCountByParticipant[author] || 0) + bucket.wordCountByParticipant[author];
+      totalCharsByParticipant[author] = (totalCharsByParticipant[author] || 0) + bucket.totalCharsByParticipant[author];
+      wordFrequencyByParticipant[author] = addCounts(wordFrequencyByParticipant[author] || {}, bucket.wordFrequencyByParticipant[author]);
 
-    const author = message.author;
-    participantsSet.add(author);
-    messageCountByParticipant[author] = (messageCountByParticipant[author] || 0) + 1;
+      if (!(author in longestMessageByParticipant)) {
+        longestMessageByParticipant[author] = null;
+      }
+      const candidate = bucket.longestMessageByParticipant[author];
+      if (candidate && isLongerMessage(candidate, longestMessageByParticipant[author])) {
+        longestMessageByParticipant[author] = candidate;
+      }
 
-    if (!(author in wordCountByParticipant)) {
-      wordCountByParticipant[author] = 0;
+      if (!editActivityByParticipant[author]) {
+        editActivityByParticipant[author] = { deleted: 0, edited: 0, deletedRate: 0, editedRate: 0 };
+      }
+      editActivityByParticipant[author].deleted += bucket.editActivityByParticipant[author].deleted;
+      editActivityByParticipant[author].edited += bucket.editActivityByParticipant[author].edited;
     }
-    if (!(author in totalCharsByParticipant)) {
-      totalCharsByParticipant[author] = 0;
+
+    addCounts(wordFrequency, bucket.wordFrequency);
+    for (const [emoji, count] of bucket.emojiCounts) {
+      emojiCounts.set(emoji, (emojiCounts.get(emoji) || 0) + count);
     }
-    if (!(author in wordFrequencyByParticipant)) {
-      wordFrequencyByParticipant[author] = {};
+
+    addCounts(mediaByKind, bucket.mediaByKind);
+    for (const [author, kinds] of Object.entries(bucket.mediaByParticipant)) {
+      mediaByParticipant[author] = addCounts(mediaByParticipant[author] || {}, kinds);
     }
-    if (!(author in longestMessageByParticipant)) {
-      longestMessageByParticipant[author] = null;
+    if (bucket.media) {
+      mediaByDate.set(day, { ...bucket.media });
     }
 
-    totalMessages += 1;
-
-    const content = message.content || '';
-    const trimmedContent = content.trim();
-    const charCount = trimmedContent.length;
-    let wordList = [];
-    let descriptiveWordCount = 0;
-
-    const mediaMessage = isMediaMessage(content);
-
-    if (mediaMessage) {
-      mediaCount += 1;
-    } else {
-      wordList = extractWords(content);
-      wordCountByParticipant[author] += wordList.length;
-      totalCharsByParticipant[author] += charCount;
-      totalWords += wordList.length;
-      const frequency = wordFrequencyByParticipant[author];
-      for (const word of wordList) {
-        frequency[word] = (frequency[word] || 0) + 1;
-        wordFrequency[word] = (wordFrequency[word] || 0) + 1;
-      }
-      const emojis = extractEmojis(message.content);
-      for (const emoji of emojis) {
-        emojiCounts.set(emoji, (emojiCounts.get(emoji) || 0) + 1);
-      }
-      descriptiveWordCount = trimmedContent ? trimmedContent.split(/\s+/).filter(Boolean).length : 0;
-    }
-
-    if (!mediaMessage && (descriptiveWordCount > 0 || charCount > 0)) {
-      const currentLongest = longestMessageByParticipant[author];
-      const shouldReplace = !currentLongest
-        || descriptiveWordCount > currentLongest.wordCount
-        || (descriptiveWordCount === currentLongest.wordCount && charCount > currentLongest.charCount)
-        || (descriptiveWordCount === currentLongest.wordCount && charCount === currentLongest.charCount
-          && message.timestamp < currentLongest.timestamp);
-
-      if (shouldReplace) {
-        longestMessageByParticipant[author] = {
-          timestamp: message.timestamp,
-          content: message.content,
-          wordCount: descriptiveWordCount,
-          charCount
-        };
-      }
-    }
+    groupEvents.push(...bucket.groupEvents);
+    addCounts(groupEventCounts, bucket.groupEventCounts);
+    polls.push(...bucket.polls);
+    locations.push(...bucket.locations);
+    bucket.calls.forEach((call) => recordCall(calls, call));
+    bucket.timeline.forEach((entry) => recordSessionMessage(sessions, entry));
 
-    if (previousMessage && previousMessage.type === 'message' && previousMessage.author !== author) {
-      const delta = (message.timestamp - previousMessage.timestamp) / 60000;
-      const crossesOvernight = message.timestamp.toDateString() !== previousMessage.timestamp.toDateString();
+    for (const reply of bucket.replies) {
+      // The message being replied to sits before the range, so a filtered pass never sees it.
+      if (startKey && reply.previousDateKey < startKey) continue;
       const allowance = baseResponseGap === null
         ? null
-        : baseResponseGap + (crossesOvernight ? overnightBuffer : 0);
+        : baseResponseGap + (reply.crossesOvernight ? overnightBuffer : 0);
 
-      if (!responseTracking[author]) {
-        responseTracking[author] = [];
+      if (!responseTracking[reply.author]) {
+        responseTracking[reply.author] = [];
       }
 
-      if (allowance === null || delta <= allowance) {
-        responseTracking[author].push(delta);
+      if (allowance === null || reply.minutes <= allowance) {
+        responseTracking[reply.author].push(reply.minutes);
+        if (!replyTracking[reply.author]) {
+          replyTracking[reply.author] = {};
+        }
+        if (!replyTracking[reply.author][reply.target]) {
+          replyTracking[reply.author][reply.target] = [];
+        }
+        replyTracking[reply.author][reply.target].push(reply.minutes);
       }
     }
-
-    previousMessage = message;
   }
 
   const participants = Array.from(participantsSet).sort((a, b) => (messageCountByParticipant[b] || 0) - (messageCountByParticipant[a] || 0));
@@ -450,6 +1267,18 @@ export function computeStatistics(messages, options = {}) {
     }
   }
 
+  // replyMatrix[A][B] describes A's replies to messages from B.
+  const replyMatrix = {};
+  for (const [author, targets] of Object.entries(replyTracking)) {
+    replyMatrix[author] = {};
+    for (const [target, deltas] of Object.entries(targets)) {
+      replyMatrix[author][target] = {
+        count: deltas.length,
+        medianMinutes: round(calculateMedian(deltas), 2)
+      };
+    }
+  }
+
   const topWords = Object.entries(wordFrequency)
     .sort((a, b) => {
       if (b[1] !== a[1]) {
@@ -482,10 +1311,16 @@ export function computeStatistics(messages, options = {}) {
     topWordsByParticipant[participant] = entries.slice(0, 10);
   }
 
+  for (const [participant, activity] of Object.entries(editActivityByParticipant)) {
+    const count = messageCountByParticipant[participant] || 0;
+    activity.deletedRate = count ? round(activity.deleted / count, 3) : 0;
+    activity.editedRate = count ? round(activity.edited / count, 3) : 0;
+  }
+
   const overallAverageWordsPerMessage = totalMessages ? round(totalWords / totalMessages, 1) : 0;
 
-  const [firstMessageDate] = sortedMessages;
-  const lastMessageDate = sortedMessages[sortedMessages.length - 1];
+  const firstMessageDate = index.buckets.get(days[0]).firstTimestamp;
+  const lastMessageDate = index.buckets.get(days[days.length - 1]).lastTimestamp;
 
   let busiestDay = null;
   let busiestDayCount = 0;
@@ -520,11 +1355,29 @@ export function computeStatistics(messages, options = {}) {
     wordCountByParticipant,
     averageWordsPerMessage,
     mediaCount,
+    mediaByKind,
+    mediaByParticipant,
+    mediaByDate,
+    deletedCount,
+    editedCount,
+    viewOnceCount,
+    pendingCount,
+    editActivityByParticipant,
     systemCount,
-    firstMessageDate: firstMessageDate?.timestamp ?? null,
-    lastMessageDate: lastMessageDate?.timestamp ?? null,
+    groupEvents,
+    groupEventCounts,
+    polls,
+    locations,
+    calls: finaliseCallStats(calls),
+    sessions: finaliseSessionStats(sessions),
+    languagePack: index.languagePack,
+    firstMessageDate,
+    lastMessageDate,
     messagesByDate,
+    messagesByDateByParticipant,
     messagesByHour,
+    messagesByWeekdayHour,
+    messagesByWeekdayHourByParticipant,
     topWords,
     topEmojis,
     topWordsByParticipant,
@@ -534,6 +1387,7 @@ export function computeStatistics(messages, options = {}) {
     longestStreak: streaks.length,
     longestStreakRange: streaks.range,
     responseTimes,
+    replyMatrix,
     longestMessageByParticipant,
     responseGapMinutes: baseResponseGap,
     responseGapOvernightBufferMinutes: baseResponseGap ? overnightBuffer : 0,
@@ -541,6 +1395,151 @@ export function computeStatistics(messages, options = {}) {
   };
 }
 
+export function computeStatistics(messages, options = {}) {
+  return queryStatisticsIndex(buildStatisticsIndex(messages, options), options);
+}
+
+function createEmptyCallStats() {
+  return {
+    totalCalls: 0,
+    answeredCalls: 0,
+    missedCalls: 0,
+    missedRate: 0,
+    totalSeconds: 0,
+    averageSeconds: 0,
+    voiceCalls: 0,
+    videoCalls: 0,
+    groupCalls: 0,
+    byParticipant: {}
+  };
+}
+
+function recordCall(calls, message) {
+  const { call, author } = message;
+  calls.totalCalls += 1;
+  calls[call.medium === 'video' ? 'videoCalls' : 'voiceCalls'] += 1;
+  if (call.group) calls.groupCalls += 1;
+  if (call.missed) {
+    calls.missedCalls += 1;
+  } else {
+    calls.answeredCalls += 1;
+    calls.totalSeconds += call.durationSeconds;
+  }
+
+  if (!calls.byParticipant[author]) {
+    calls.byParticipant[author] = { calls: 0, missed: 0, totalSeconds: 0, outgoing: 0, incoming: 0 };
+  }
+  const entry = calls.byParticipant[author];
+  entry.calls += 1;
+  entry[call.direction === 'outgoing' ? 'outgoing' : 'incoming'] += 1;
+  if (call.missed) {
+    entry.missed += 1;
+  } else {
+    entry.totalSeconds += call.durationSeconds;
+  }
+}
+
+function finaliseCallStats(calls) {
+  calls.missedRate = calls.totalCalls ? round(calls.missedCalls / calls.totalCalls, 3) : 0;
+  calls.averageSeconds = calls.answeredCalls ? Math.round(calls.totalSeconds / calls.answeredCalls) : 0;
+  return calls;
+}
+
+function createSessionStats(gapMinutes) {
+  return {
+    gapMinutes,
+    count: 0,
+    averageDurationMinutes: 0,
+    medianDurationMinutes: 0,
+    averageMessagesPerSession: 0,
+    medianMessagesPerSession: 0,
+    longestSession: null,
+    byParticipant: {},
+    current: null,
+    durations: [],
+    messageCounts: []
+  };
+}
+
+// Messages arrive in chronological order; a gap longer than `gapMinutes` closes the
+// current session, crediting its first author as initiator and last author as closer.
+function recordSessionMessage(sessions, { timestamp, author }) {
+  const { current } = sessions;
+  if (current && timestamp - current.end <= sessions.gapMinutes * 60000) {
+    current.end = timestamp;
+    current.closer = author;
+    current.messageCount += 1;
+    current.participants.add(author);
+    return;
+  }
+  if (current) {
+    closeSession(sessions);
+  }
+  sessions.current = {
+    start: timestamp,
+    end: timestamp,
+    initiator: author,
+    closer: author,
+    messageCount: 1,
+    participants: new Set([author])
+  };
+}
+
+function closeSession(sessions) {
+  const session = sessions.current;
+  sessions.current = null;
+  const durationMinutes = (session.end - session.start) / 60000;
+  sessions.count += 1;
+  sessions.durations.push(durationMinutes);
+  sessions.messageCounts.push(session.messageCount);
+
+  for (const participant of session.participants) {
+    if (!sessions.byParticipant[participant]) {
+      sessions.byParticipant[participant] = { sessions: 0, started: 0, ended: 0, startedRate: 0, endedRate: 0 };
+    }
+    sessions.byParticipant[participant].sessions += 1;
+  }
+  sessions.byParticipant[session.initiator].started += 1;
+  sessions.byParticipant[session.closer].ended += 1;
+
+  if (!sessions.longestSession || durationMinutes > sessions.longestSession.durationMinutes) {
+    sessions.longestSession = {
+      start: session.start,
+      end: session.end,
+      durationMinutes: round(durationMinutes, 1),
+      messageCount: session.messageCount,
+      initiator: session.initiator
+    };
+  }
+}
+
+function finaliseSessionStats(sessions) {
+  if (sessions.current) {
+    closeSession(sessions);
+  }
+  const { durations, messageCounts, current, ...summary } = sessions;
+  if (summary.count) {
+    summary.averageDurationMinutes = round(durations.reduce((sum, value) => sum + value, 0) / summary.count, 1);
+    summary.medianDurationMinutes = round(calculateMedian(durations), 1);
+    summary.averageMessagesPerSession = round(messageCounts.reduce((sum, value) => sum + value, 0) / summary.count, 1);
+    summary.medianMessagesPerSession = calculateMedian(messageCounts);
+  }
+  for (const entry of Object.values(summary.byParticipant)) {
+    entry.startedRate = summary.count ? round(entry.started / summary.count, 3) : 0;
+    entry.endedRate = summary.count ? round(entry.ended / summary.count, 3) : 0;
+  }
+  return summary;
+}
+
+export function formatCallDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours) return `${hours} hr ${minutes} min`;
+  if (minutes) return `${minutes} min`;
+  return `${seconds} sec`;
+}
+
 function calculateStreaks(messagesByDate) {
   const dates = Array.from(messagesByDate.keys()).sort();
   if (!dates.length) {
@@ -577,7 +1576,7 @@ function calculateStreaks(messagesByDate) {
   return { length: bestLength, range: bestRange };
 }
 
-function parseDateInput(value) {
+export function parseDateInput(value) {
   if (!value) return null;
   const [year, month, day] = value.split('-').map((part) => parseInt(part, 10));
   if (Number.isNaN(year) || Number.isNaN(month) || Number.isNaN(day)) {
@@ -586,6 +1585,177 @@ function parseDateInput(value) {
   return new Date(year, month - 1, day);
 }
 
+// Trailing window, in periods, for the timeline's rolling average.
+const ROLLING_WINDOWS = { day: 7, week: 4, month: 3 };
+
+function getPeriodKey(dateKey, granularity) {
+  if (granularity === 'month') {
+    return dateKey.slice(0, 7);
+  }
+  if (granularity === 'week') {
+    // Weeks start on Monday and are keyed by that Monday's date.
+    const date = parseDateInput(dateKey);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return formatLocalDateKey(date);
+  }
+  return dateKey;
+}
+
+// Message volume per day, week or month between the first and last active day, with
+// quiet periods filled in as zeros so gaps show up on the chart. Also returns per-participant
+// series, an optional trailing rolling average and the period indexes that hold the busiest
+// day and the longest streak.
+export function buildActivityTimeline(stats, { granularity = 'day', rollingAverage = false } = {}) {
+  const dates = Array.from(stats.messagesByDate?.keys() || []).sort();
+  const empty = { granularity, labels: [], totals: [], byParticipant: {}, rollingAverage: null, markers: { busiestDay: null, streak: null } };
+  if (!dates.length) {
+    return empty;
+  }
+
+  const labels = [];
+  const indexByKey = new Map();
+  const cursor = parseDateInput(dates[0]);
+  const last = parseDateInput(dates[dates.length - 1]);
+  while (cursor <= last) {
+    const key = getPeriodKey(formatLocalDateKey(cursor), granularity);
+    if (!indexByKey.has(key)) {
+      indexByKey.set(key, labels.length);
+      labels.push(key);
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  const totals = new Array(labels.length).fill(0);
+  const byParticipant = {};
+  for (const participant of stats.participants) {
+    byParticipant[participant] = new Array(labels.length).fill(0);
+  }
+  for (const [dateKey, count] of stats.messagesByDate) {
+    const index = indexByKey.get(getPeriodKey(dateKey, granularity));
+    totals[index] += count;
+    for (const [author, authorCount] of Object.entries(stats.messagesByDateByParticipant?.get(dateKey) || {})) {
+      if (byParticipant[author]) {
+        byParticipant[author][index] += authorCount;
+      }
+    }
+  }
+
+  let average = null;
+  if (rollingAverage) {
+    const window = ROLLING_WINDOWS[granularity] || 7;
+    average = totals.map((_, index) => {
+      const slice = totals.slice(Math.max(0, index - window + 1), index + 1);
+      return round(slice.reduce((sum, value) => sum + value, 0) / slice.length, 1);
+    });
+  }
+
+  const periodIndex = (dateKey) => (dateKey ? indexByKey.get(getPeriodKey(dateKey, granularity)) ?? null : null);
+  const streak = stats.longestStreak > 1 && stats.longestStreakRange
+    ? { start: periodIndex(stats.longestStreakRange.start), end: periodIndex(stats.longestStreakRange.end) }
+    : null;
+
+  return {
+    granularity,
+    labels,
+    totals,
+    byParticipant,
+    rollingAverage: average,
+    markers: {
+      busiestDay: periodIndex(stats.busiestDay?.date),
+      streak
+    }
+  };
+}
+
+// Calendar heatmap data: every day of each year touched by the range, laid out as
+// Monday-first week columns like GitHub's contribution graph. Days outside the range are
+// kept (so each year is complete) but flagged with `inRange: false`. Pass `participant`
+// to count only that person's messages.
+export function buildCalendarHeatmap(stats, { participant = null, startDate, endDate } = {}) {
+  const counts = new Map();
+  if (participant) {
+    for (const [dateKey, authors] of stats.messagesByDateByParticipant || []) {
+      if (authors[participant]) counts.set(dateKey, authors[participant]);
+    }
+  } else {
+    for (const [dateKey, count] of stats.messagesByDate || []) {
+      counts.set(dateKey, count);
+    }
+  }
+
+  const rangeStart = startDate || (stats.firstMessageDate ? formatLocalDateKey(stats.firstMessageDate) : null);
+  const rangeEnd = endDate || (stats.lastMessageDate ? formatLocalDateKey(stats.lastMessageDate) : null);
+  if (!rangeStart || !rangeEnd) {
+    return { years: [], maxCount: 0 };
+  }
+
+  const years = [];
+  let maxCount = 0;
+  for (let year = Number(rangeStart.slice(0, 4)); year <= Number(rangeEnd.slice(0, 4)); year += 1) {
+    const weeks = [];
+    let total = 0;
+    const cursor = new Date(year, 0, 1);
+    let week = new Array(7).fill(null);
+    while (cursor.getFullYear() === year) {
+      const weekday = (cursor.getDay() + 6) % 7;
+      if (weekday === 0 && week.some(Boolean)) {
+        weeks.push(week);
+        week = new Array(7).fill(null);
+      }
+      const date = formatLocalDateKey(cursor);
+      const count = counts.get(date) || 0;
+      const inRange = date >= rangeStart && date <= rangeEnd;
+      week[weekday] = { date, count, inRange };
+      if (inRange) {
+        total += count;
+        maxCount = Math.max(maxCount, count);
+      }
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+    years.push({ year, weeks, total });
+  }
+  return { years, maxCount };
+}
+
+// Chronotypes read from each participant's weekday × hour matrix. Night owls send a big
+// share of their messages between 22:00 and 04:00, early birds between 05:00 and 09:00,
+// and weekend-only participants barely write from Monday to Friday. People with fewer
+// than `minMessages` messages are skipped so a handful of late texts don't count. Types
+// are sorted strongest first, measured as the share relative to the rule's threshold.
+export const CHRONOTYPE_RULES = {
+  nightOwl: { hours: [22, 23, 0, 1, 2, 3], share: 0.3 },
+  earlyBird: { hours: [5, 6, 7, 8], share: 0.25 },
+  weekendOnly: { weekdays: [5, 6], share: 0.8 }
+};
+
+export function describeChronotypes(stats, { minMessages = 20 } = {}) {
+  const chronotypes = [];
+  for (const [participant, matrix] of Object.entries(stats.messagesByWeekdayHourByParticipant || {})) {
+    const hourTotals = new Array(24).fill(0);
+    const weekdayTotals = matrix.map((hours) => hours.reduce((sum, count) => sum + count, 0));
+    matrix.forEach((hours) => hours.forEach((count, hour) => {
+      hourTotals[hour] += count;
+    }));
+    const total = weekdayTotals.reduce((sum, count) => sum + count, 0);
+    if (total < minMessages) continue;
+
+    const shareOf = (counts, indexes) => indexes.reduce((sum, index) => sum + counts[index], 0) / total;
+    const types = [];
+    for (const [type, rule] of Object.entries(CHRONOTYPE_RULES)) {
+      const share = rule.hours ? shareOf(hourTotals, rule.hours) : shareOf(weekdayTotals, rule.weekdays);
+      if (share >= rule.share) {
+        types.push({ type, share, strength: share / rule.share });
+      }
+    }
+    types.sort((a, b) => b.strength - a.strength);
+    if (types.length) {
+      chronotypes.push({ participant, total, types });
+    }
+  }
+  return chronotypes;
+}
+
 export function filterMessagesByDate(messages, startDate, endDate) {
   if (!startDate && !endDate) return [...messages];
   const start = parseDateInput(startDate);
@@ -603,6 +1773,205 @@ export function filterMessagesByDate(messages, startDate, endDate) {
   });
 }
 
+export const ANALYSIS_EXPORT_FORMAT = 'whatsapp-chat-dashboard/analysis';
+export const ANALYSIS_EXPORT_VERSION = 1;
+
+// JSON has no Map or Date, so they are written as tagged objects ({ $map: entries } and
+// { $date: ISO string }) and revived on import. A plain function is used for `this`,
+// which still holds the original value before Date#toJSON has run.
+function encodeAnalysisValue(key, value) {
+  const original = this[key];
+  if (original instanceof Date) {
+    return { $date: Number.isNaN(original.getTime()) ? null : original.toISOString() };
+  }
+  if (original instanceof Map) {
+    return { $map: Array.from(original.entries()) };
+  }
+  return value;
+}
+
+function decodeAnalysisValue(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length !== 1) {
+    return value;
+  }
+  if ('$date' in value) {
+    return value.$date === null ? new Date(NaN) : new Date(value.$date);
+  }
+  if ('$map' in value && Array.isArray(value.$map)) {
+    return new Map(value.$map);
+  }
+  return value;
+}
+
+export function serializeAnalysis({ messages, stats, settings = {} }) {
+  return JSON.stringify({
+    format: ANALYSIS_EXPORT_FORMAT,
+    version: ANALYSIS_EXPORT_VERSION,
+    exportedAt: new Date(),
+    settings,
+    messages,
+    stats
+  }, encodeAnalysisValue);
+}
+
+export function parseAnalysisExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text, decodeAnalysisValue);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (data?.format !== ANALYSIS_EXPORT_FORMAT) {
+    throw new Error('This JSON file is not a chat analysis export.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > ANALYSIS_EXPORT_VERSION) {
+    throw new Error(`Analysis export version ${data.version} is not supported by this dashboard.`);
+  }
+  if (!Array.isArray(data.messages) || !data.stats || typeof data.stats !== 'object') {
+    throw new Error('The analysis export is missing its messages or statistics.');
+  }
+
+  return {
+    version: data.version,
+    exportedAt: data.exportedAt instanceof Date ? data.exportedAt : null,
+    settings: data.settings || {},
+    messages: data.messages,
+    stats: data.stats
+  };
+}
+
+// RFC 4180: fields containing commas, quotes or line breaks are quoted, quotes are
+// doubled and records end with CRLF.
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function buildMessagesCsv(messages, options = {}) {
+  const languagePack = getLanguagePack(options.languagePack) || detectLanguagePack(messages);
+  const rows = [['timestamp', 'author', 'type', 'media_kind', 'word_count', 'emoji_count', 'content']];
+  const sortedMessages = [...messages].sort((a, b) => a.timestamp - b.timestamp);
+  for (const message of sortedMessages) {
+    const content = message.content || '';
+    const mediaKind = message.type === 'message' ? classifyMedia(content, languagePack) : null;
+    const countsText = message.type === 'message' && !mediaKind
+      && !message.deleted && !message.pending && !message.viewOnce;
+    const trimmed = content.trim();
+    rows.push([
+      formatLocalTimestamp(message.timestamp),
+      message.author,
+      message.type,
+      mediaKind || '',
+      countsText && trimmed ? trimmed.split(/\s+/).length : 0,
+      countsText ? extractEmojis(content).length : 0,
+      content
+    ]);
+  }
+  return toCsv(rows);
+}
+
+export function buildDailyActivityCsv(stats) {
+  const rows = [['date', 'total', ...stats.participants]];
+  for (const [date, total] of stats.messagesByDate) {
+    const byParticipant = stats.messagesByDateByParticipant?.get(date) || {};
+    rows.push([date, total, ...stats.participants.map((participant) => byParticipant[participant] || 0)]);
+  }
+  return toCsv(rows);
+}
+
+export function buildParticipationCsv(stats) {
+  const rows = [[
+    'participant', 'messages', 'words', 'words_per_message', 'avg_length_chars',
+    'avg_reply_minutes', 'median_reply_minutes', 'reply_samples', 'media', 'deleted', 'edited',
+    'longest_message_words', 'longest_message_at'
+  ]];
+  for (const participant of stats.participants) {
+    const response = stats.responseTimes[participant];
+    const editActivity = stats.editActivityByParticipant?.[participant];
+    const longest = stats.longestMessageByParticipant?.[participant];
+    const media = Object.values(stats.mediaByParticipant?.[participant] || {}).reduce((sum, count) => sum + count, 0);
+    rows.push([
+      participant,
+      stats.messageCountByParticipant[participant] || 0,
+      stats.wordCountByParticipant[participant] || 0,
+      stats.averageWordsPerMessage?.[participant] ?? 0,
+      stats.averageMessageLength[participant] ?? 0,
+      response?.averageMinutes ?? '',
+      response?.medianMinutes ?? '',
+      response?.samples ?? 0,
+      media,
+      editActivity?.deleted ?? 0,
+      editActivity?.edited ?? 0,
+      longest ? longest.wordCount : '',
+      longest ? formatLocalTimestamp(longest.timestamp) : ''
+    ]);
+  }
+  return toCsv(rows);
+}
+
+export function buildLocationsGeoJSON(locations = []) {
+  return {
+    type: 'FeatureCollection',
+    features: locations
+      .filter((location) => typeof location.latitude === 'number' && typeof location.longitude === 'number')
+      .map((location) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [location.longitude, location.latitude]
+        },
+        properties: {
+          author: location.author,
+          timestamp: formatLocalDateTime(location.timestamp),
+          url: location.url
+        }
+      }))
+  };
+}
+
+export function formatMediaBreakdown(mediaByKind = {}) {
+  return Object.entries(mediaByKind)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([kind, count]) => {
+      const label = MEDIA_KIND_LABELS[kind] || MEDIA_KIND_LABELS.other;
+      return `${count} ${count === 1 ? label.singular : label.plural}`;
+    })
+    .join(' · ');
+}
+
+// Group chats only: in a one-to-one chat the matrix repeats the reply-time stats.
+const REPLY_MATRIX_MARKDOWN_LIMIT = 8;
+
+function buildReplyMatrixMarkdown(stats) {
+  const matrix = stats.replyMatrix || {};
+  if (stats.participants.length < 3 || !Object.keys(matrix).length) {
+    return [];
+  }
+  const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+  const people = stats.participants.slice(0, REPLY_MATRIX_MARKDOWN_LIMIT);
+  const table = [
+    `| Replier → | ${people.map(escapeCell).join(' | ')} |`,
+    `| --- | ${people.map(() => '---:').join(' | ')} |`
+  ];
+  for (const author of people) {
+    const cells = people.map((target) => {
+      const entry = matrix[author]?.[target];
+      return entry ? `${entry.count} (${entry.medianMinutes.toLocaleString(undefined, { maximumFractionDigits: 1 })})` : '—';
+    });
+    table.push(`| ${escapeCell(author)} | ${cells.join(' | ')} |`);
+  }
+  if (stats.participants.length > people.length) {
+    table.push('', `Showing the ${people.length} most active of ${stats.participants.length} participants.`);
+  }
+  return table;
+}
+
 export function generateMarkdownSummary({
   title = 'WhatsApp Chat Summary',
   messages,
@@ -624,7 +1993,14 @@ export function generateMarkdownSummary({
   lines.push(`- **Messages analysed:** ${stats.totalMessages.toLocaleString()}`);
   lines.push(`- **Unique participants:** ${stats.participants.length}`);
   if (stats.mediaCount) {
-    lines.push(`- **Media shared:** ${stats.mediaCount}`);
+    const breakdown = formatMediaBreakdown(stats.mediaByKind);
+    lines.push(`- **Media shared:** ${stats.mediaCount}${breakdown ? ` (${breakdown})` : ''}`);
+  }
+  if (stats.locations?.length) {
+    lines.push(`- **Locations shared:** ${stats.locations.length}`);
+  }
+  if (stats.deletedCount || stats.editedCount) {
+    lines.push(`- **Deleted messages:** ${stats.deletedCount || 0} · **Edited messages:** ${stats.editedCount || 0}`);
   }
   if (typeof stats.overallAverageWordsPerMessage === 'number' && stats.overallAverageWordsPerMessage > 0) {
     const formattedAverage = stats.overallAverageWordsPerMessage.toLocaleString(undefined, {
@@ -636,6 +2012,10 @@ export function generateMarkdownSummary({
   if (stats.topWords.length) {
     lines.push(`- **Top themes:** ${stats.topWords.slice(0, 5).map(([word]) => `\`${word}\``).join(', ')}`);
   }
+  if (stats.sessions?.count) {
+    const { count, gapMinutes, averageMessagesPerSession, medianDurationMinutes } = stats.sessions;
+    lines.push(`- **Conversations:** ${count.toLocaleString()} (new after ${gapMinutes} min of silence) · ${averageMessagesPerSession} messages each on average · median length ${medianDurationMinutes} min`);
+  }
   if (stats.longestStreak > 1 && stats.longestStreakRange) {
     lines.push(`- **Longest daily streak:** ${stats.longestStreak} days (${stats.longestStreakRange.start} → ${stats.longestStreakRange.end})`);
   }
@@ -674,6 +2054,17 @@ export function generateMarkdownSummary({
         : '';
       bits.push(`response ${segments.join(' · ')}${sampleSuffix}`);
     }
+    const sessionActivity = stats.sessions?.byParticipant?.[participant];
+    if (sessionActivity?.started) {
+      bits.push(`started ${sessionActivity.started} conversation${sessionActivity.started === 1 ? '' : 's'}`);
+    }
+    const editActivity = stats.editActivityByParticipant?.[participant];
+    if (editActivity?.deleted) {
+      bits.push(`${editActivity.deleted} deleted (${round(editActivity.deletedRate * 100, 1)}%)`);
+    }
+    if (editActivity?.edited) {
+      bits.push(`${editActivity.edited} edited (${round(editActivity.editedRate * 100, 1)}%)`);
+    }
     if (longest) {
       const descriptor = longest.wordCount
         ? `${longest.wordCount} ${longest.wordCount === 1 ? 'word' : 'words'}`
@@ -683,6 +2074,13 @@ export function generateMarkdownSummary({
     lines.push(`- ${bits.join(' · ')}`);
   }
 
+  const replyTable = buildReplyMatrixMarkdown(stats);
+  if (replyTable.length) {
+    lines.push('\n## Who replies to whom');
+    lines.push('Rows reply to columns: reply count (median minutes).', '');
+    lines.push(...replyTable);
+  }
+
   if (stats.topWords.length) {
     lines.push('\n## Frequently used words');
     const table = ['| Word | Count |', '| --- | ---: |'];
@@ -698,6 +2096,43 @@ export function generateMarkdownSummary({
     lines.push(emojiLine);
   }
 
+  if (stats.calls?.totalCalls) {
+    const { calls } = stats;
+    lines.push('\n## Calls');
+    lines.push(`- **Calls:** ${calls.totalCalls} (${calls.voiceCalls} voice · ${calls.videoCalls} video)`);
+    lines.push(`- **Total talk time:** ${formatCallDuration(calls.totalSeconds)}`);
+    lines.push(`- **Missed:** ${calls.missedCalls} (${round(calls.missedRate * 100, 0)}%)`);
+    const callers = Object.entries(calls.byParticipant).sort((a, b) => b[1].calls - a[1].calls);
+    for (const [participant, entry] of callers) {
+      lines.push(`- ${participant}: ${entry.calls} call${entry.calls === 1 ? '' : 's'} · ${formatCallDuration(entry.totalSeconds)} talk time · ${entry.missed} missed`);
+    }
+  }
+
+  if (stats.polls?.length) {
+    lines.push('\n## Polls');
+    for (const poll of stats.polls) {
+      lines.push(`\n**${poll.question || 'Untitled poll'}** — asked by ${poll.author} on ${formatLocalDateTime(poll.timestamp)}`);
+      lines.push('');
+      lines.push('| Option | Votes | Share |', '| --- | ---: | ---: |');
+      for (const option of poll.options) {
+        const share = poll.totalVotes ? `${round((option.votes / poll.totalVotes) * 100, 0)}%` : '—';
+        lines.push(`| ${option.text.replace(/\|/g, '\\|')} | ${option.votes} | ${share} |`);
+      }
+    }
+  }
+
+  const groupEvents = (stats.groupEvents || []).filter((event) => event.kind !== 'encryption');
+  if (groupEvents.length) {
+    lines.push('\n## Group changes');
+    const visibleEvents = groupEvents.slice(0, 25);
+    for (const event of visibleEvents) {
+      lines.push(`- ${formatLocalDateTime(event.timestamp)} · ${describeGroupEvent(event)}`);
+    }
+    if (groupEvents.length > visibleEvents.length) {
+      lines.push(`- …and ${groupEvents.length - visibleEvents.length} more`);
+    }
+  }
+
   if (sampleCount > 0 && messages.length) {
     lines.push('\n## Representative moments');
     const step = Math.max(1, Math.floor(messages.length / sampleCount));
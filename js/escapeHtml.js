@@ -0,0 +1,12 @@
+// Shared by the dashboard and the HTML report so both escape chat content the same way.
+export function escapeHtml(text) {
+  if (text === null || typeof text === 'undefined') {
+    return '';
+  }
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
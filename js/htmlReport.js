@@ -0,0 +1,138 @@
+import { escapeHtml } from './escapeHtml.js';
+
+// Builds the self-contained "Download HTML report" file. Everything is inlined (styles,
+// chart images) so the report can be emailed and opened without the dashboard.
+const REPORT_STYLES = `
+  :root {
+    --bg: #0f172a;
+    --card-bg: rgba(15, 23, 42, 0.75);
+    --text: #f8fafc;
+    --muted: #94a3b8;
+    --accent: #38bdf8;
+    --border: rgba(148, 163, 184, 0.2);
+    font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0; background: var(--bg); color: var(--text); line-height: 1.5; }
+  header { padding: 2.5rem 1.5rem 1rem; text-align: center; }
+  header h1 { margin: 0; font-size: 2.2rem; }
+  header p { margin: 0.5rem 0 0; color: var(--muted); }
+  main { max-width: 1100px; margin: 0 auto; padding: 0 1.5rem 3rem; display: grid; gap: 1.5rem; }
+  section { border: 1px solid var(--border); border-radius: 18px; padding: 1.5rem; background: var(--card-bg); }
+  section h2 { margin: 0 0 1rem; font-size: 1.3rem; }
+  .cards { display: grid; gap: 1rem; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); }
+  .card { border: 1px solid var(--border); border-radius: 14px; padding: 1rem; }
+  .card h3 { margin: 0; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.08em; color: var(--muted); }
+  .card p { margin: 0.4rem 0; font-size: 1.5rem; font-weight: 700; }
+  .card span { color: var(--muted); font-size: 0.85rem; }
+  .charts { display: grid; gap: 1.5rem; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); }
+  figure { margin: 0; }
+  figure img, figure svg { width: 100%; height: auto; display: block; }
+  figcaption { margin-bottom: 0.5rem; font-weight: 600; }
+  ul { margin: 0; padding-left: 1.2rem; display: grid; gap: 0.5rem; }
+  strong { color: var(--accent); }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 0.5rem 0.75rem; border-bottom: 1px solid var(--border); text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { color: var(--muted); font-weight: 600; }
+  .longest { list-style: none; padding: 0; }
+  .longest li { border: 1px solid var(--border); border-radius: 12px; padding: 0.75rem 1rem; }
+  .longest .meta { color: var(--muted); font-size: 0.85rem; }
+  .longest blockquote { margin: 0.5rem 0 0; white-space: pre-wrap; }
+  footer { text-align: center; color: var(--muted); font-size: 0.85rem; padding-bottom: 2rem; }
+`;
+
+function formatMinutes(value) {
+  return typeof value === 'number'
+    ? value.toLocaleString(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    : '—';
+}
+
+function renderCharts(charts) {
+  const figures = charts
+    .filter((chart) => chart.image || chart.svg)
+    .map((chart) => {
+      const body = chart.svg || `<img src="${escapeHtml(chart.image)}" alt="${escapeHtml(chart.title)}" />`;
+      return `<figure><figcaption>${escapeHtml(chart.title)}</figcaption>${body}</figure>`;
+    });
+  return figures.length ? `<div class="charts">${figures.join('')}</div>` : '<p>No charts for this range.</p>';
+}
+
+function renderResponseTable(responseTimes) {
+  if (!responseTimes.length) {
+    return '<p>No reply times in this range.</p>';
+  }
+  const rows = responseTimes.map((entry) => `
+      <tr>
+        <td>${escapeHtml(entry.participant)}</td>
+        <td>${formatMinutes(entry.averageMinutes)}</td>
+        <td>${formatMinutes(entry.medianMinutes)}</td>
+        <td>${entry.samples || 0}</td>
+      </tr>`);
+  return `<table>
+    <thead><tr><th>Participant</th><th>Average (min)</th><th>Median (min)</th><th>Replies</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
+}
+
+function renderLongestMessages(longestMessages) {
+  if (!longestMessages.length) {
+    return '<p>No text messages in this range.</p>';
+  }
+  const items = longestMessages.map((entry) => {
+    const length = entry.wordCount
+      ? `${entry.wordCount} ${entry.wordCount === 1 ? 'word' : 'words'}`
+      : `${entry.charCount} chars`;
+    const when = entry.timestamp instanceof Date ? entry.timestamp.toLocaleString() : '';
+    return `<li>
+      <div><strong>${escapeHtml(entry.participant)}</strong> <span class="meta">· ${length} · ${escapeHtml(when)}</span></div>
+      <blockquote>${escapeHtml(entry.content)}</blockquote>
+    </li>`;
+  });
+  return `<ul class="longest">${items.join('')}</ul>`;
+}
+
+// `cards[].value`/`hint` and `insights` are trusted HTML produced by the dashboard (they
+// already escape chat content); every other field is plain text and escaped here.
+export function buildHtmlReport({
+  title = 'WhatsApp Chat Report',
+  subtitle = '',
+  cards = [],
+  charts = [],
+  insights = [],
+  responseTimes = [],
+  longestMessages = [],
+  generatedAt = new Date()
+}) {
+  const cardsHtml = cards
+    .map((card) => `<article class="card"><h3>${escapeHtml(card.title)}</h3><p>${card.value}</p><span>${card.hint}</span></article>`)
+    .join('');
+  const insightsHtml = insights.length
+    ? `<ul>${insights.map((item) => `<li>${item}</li>`).join('')}</ul>`
+    : '<p>No insights for this range.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    ${subtitle ? `<p>${escapeHtml(subtitle)}</p>` : ''}
+  </header>
+  <main>
+    <section><h2>Conversation snapshot</h2><div class="cards">${cardsHtml}</div></section>
+    <section><h2>Activity highlights</h2>${renderCharts(charts)}</section>
+    <section><h2>Insights</h2>${insightsHtml}</section>
+    <section><h2>Reply times</h2>${renderResponseTable(responseTimes)}</section>
+    <section><h2>Longest messages</h2>${renderLongestMessages(longestMessages)}</section>
+  </main>
+  <footer>Generated ${escapeHtml(generatedAt.toLocaleString())} with the WhatsApp Chat Dashboard.</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,451 @@
+// Phrases WhatsApp writes into exports in place of media, deleted messages and group
+// notices. Matching is case-insensitive and substring based, mirroring how the
+// original English-only placeholder detection worked. `attachments` mark exports made
+// "with media", where the file name is kept and classified by `classifyAttachment`.
+// `deleted`, `viewOnce` and `pending` list the whole placeholder text and `system` holds anchored
+// patterns for the whole notice (all lower-cased), because participants easily write
+// "view once" or "created group" in their own messages.
+export const LANGUAGE_PACKS = [
+  {
+    id: 'en',
+    label: 'English',
+    media: [
+      '<media omitted>', 'omitted'
+    ],
+    attachments: [
+      '(file attached)', '<attached:'
+    ],
+    mediaKinds: {
+      photo: ['image omitted', 'photo omitted'],
+      video: ['video omitted'],
+      voice: ['audio omitted', 'voice message omitted'],
+      sticker: ['sticker omitted'],
+      gif: ['gif omitted'],
+      document: ['document omitted'],
+      contact: ['contact card omitted'],
+      location: ['location: https://', 'live location shared']
+    },
+    deleted: [
+      'this message was deleted', 'you deleted this message'
+    ],
+    edited: [
+      '<this message was edited>'
+    ],
+    viewOnce: [
+      'view once photo omitted', 'view once video omitted', 'view once voice message omitted',
+      'view once message'
+    ],
+    pending: [
+      'waiting for this message', 'waiting for this message. this may take a while.',
+      'waiting for this message. check your phone.'
+    ],
+    system: [
+      /^messages and calls are end-to-end encrypted\. .+$/,
+      /^.+ created group "[^"]*"$/,
+      /^.+ changed the subject (?:from "[^"]*" )?to "[^"]*"$/,
+      /^.+ changed this group['’]s icon$/,
+      /^.+ changed the group description$/,
+      /^.+ joined using this group['’]s invite link$/,
+      /^.+ changed their phone number to a new number\. .+$/,
+      /^your security code with .+ changed\. .+$/
+    ]
+  },
+  {
+    id: 'es',
+    label: 'Español',
+    media: [
+      '<multimedia omitido>', 'imagen omitida', 'video omitido', 'audio omitido', 'sticker omitido',
+      'gif omitido', 'documento omitido', 'tarjeta de contacto omitida'
+    ],
+    attachments: [
+      '(archivo adjunto)', '<adjunto:'
+    ],
+    mediaKinds: {
+      photo: ['imagen omitida'],
+      video: ['video omitido'],
+      voice: ['audio omitido'],
+      sticker: ['sticker omitido'],
+      gif: ['gif omitido'],
+      document: ['documento omitido'],
+      contact: ['tarjeta de contacto omitida'],
+      location: ['ubicación: https://', 'ubicación en tiempo real compartida']
+    },
+    deleted: [
+      'se eliminó este mensaje', 'eliminaste este mensaje'
+    ],
+    edited: [
+      '<se editó este mensaje.>'
+    ],
+    viewOnce: [
+      'foto de ver una vez omitida', 'video de ver una vez omitido', 'mensaje de voz de ver una vez omitido',
+      'mensaje de ver una vez'
+    ],
+    pending: [
+      'esperando este mensaje', 'esperando este mensaje. esto puede tomar tiempo.'
+    ],
+    system: [
+      /^los mensajes y las llamadas están cifrados de extremo a extremo\. .+$/,
+      /^.+ creó el grupo "[^"]*"$/,
+      /^.+ cambió el asunto (?:de "[^"]*" )?a "[^"]*"$/,
+      /^.+ cambió el ícono de este grupo$/,
+      /^.+ cambió la descripción del grupo$/,
+      /^.+ se unió usando el enlace de invitación de este grupo$/,
+      /^.+ cambió su número de teléfono a uno nuevo\. .+$/,
+      /^tu código de seguridad con .+ cambió\. .+$/
+    ]
+  },
+  {
+    id: 'de',
+    label: 'Deutsch',
+    media: [
+      '<medien ausgeschlossen>', 'bild weggelassen', 'video weggelassen', 'audio weggelassen', 'sticker weggelassen',
+      'gif weggelassen', 'dokument weggelassen', 'kontaktkarte weggelassen'
+    ],
+    attachments: [
+      '(datei angehängt)', '<anhang:'
+    ],
+    mediaKinds: {
+      photo: ['bild weggelassen'],
+      video: ['video weggelassen'],
+      voice: ['audio weggelassen'],
+      sticker: ['sticker weggelassen'],
+      gif: ['gif weggelassen'],
+      document: ['dokument weggelassen'],
+      contact: ['kontaktkarte weggelassen'],
+      location: ['standort: https://', 'live-standort geteilt']
+    },
+    deleted: [
+      'diese nachricht wurde gelöscht', 'du hast diese nachricht gelöscht'
+    ],
+    edited: [
+      '<diese nachricht wurde bearbeitet>'
+    ],
+    viewOnce: [
+      'einmal ansehen-bild weggelassen', 'einmal ansehen-video weggelassen',
+      'einmal ansehen-sprachnachricht weggelassen', 'einmal ansehen-nachricht'
+    ],
+    pending: [
+      'warten auf diese nachricht', 'warten auf diese nachricht. dies kann etwas dauern.'
+    ],
+    system: [
+      /^nachrichten und anrufe sind ende-zu-ende-verschlüsselt\. .+$/,
+      /^.+ hat die gruppe [„"][^"“]*["“] erstellt\.?$/,
+      /^.+ hat den betreff (?:von [„"][^"“]*["“] )?zu [„"][^"“]*["“] geändert\.?$/,
+      /^.+ hat das gruppenbild geändert\.?$/,
+      /^.+ hat die gruppenbeschreibung geändert\.?$/,
+      /^.+ ist über den einladungslink dieser gruppe beigetreten\.?$/,
+      /^.+ hat die telefonnummer gewechselt\. .+$/,
+      /^deine sicherheitsnummer für .+ hat sich geändert\. .+$/
+    ]
+  },
+  {
+    id: 'pt',
+    label: 'Português',
+    media: [
+      '<mídia oculta>', '<arquivo de mídia oculto>', 'imagem ocultada', 'vídeo omitido', 'áudio ocultado',
+      'figurinha omitida', 'gif omitido', 'documento omitido', 'cartão de contato omitido'
+    ],
+    attachments: [
+      '(arquivo anexado)', '<anexado:'
+    ],
+    mediaKinds: {
+      photo: ['imagem ocultada'],
+      video: ['vídeo omitido'],
+      voice: ['áudio ocultado'],
+      sticker: ['figurinha omitida'],
+      gif: ['gif omitido'],
+      document: ['documento omitido'],
+      contact: ['cartão de contato omitido'],
+      location: ['localização: https://', 'localização em tempo real compartilhada']
+    },
+    deleted: [
+      'esta mensagem foi apagada', 'você apagou esta mensagem', 'mensagem apagada'
+    ],
+    edited: [
+      '<mensagem editada>'
+    ],
+    viewOnce: [
+      'foto de visualização única ocultada', 'vídeo de visualização única ocultado',
+      'mensagem de voz de visualização única ocultada', 'mensagem de visualização única'
+    ],
+    pending: [
+      'aguardando esta mensagem', 'aguardando esta mensagem. isso pode levar algum tempo.'
+    ],
+    system: [
+      /^as mensagens e as chamadas são protegidas com a criptografia de ponta a ponta\. .+$/,
+      /^.+ criou o grupo "[^"]*"$/,
+      /^.+ mudou o assunto (?:de "[^"]*" )?para "[^"]*"$/,
+      /^.+ mudou a imagem deste grupo$/,
+      /^.+ mudou a descrição do grupo$/,
+      /^.+ entrou usando o link de convite deste grupo$/,
+      /^.+ mudou seu número de telefone para um novo número\. .+$/,
+      /^seu código de segurança com .+ mudou\. .+$/
+    ]
+  },
+  {
+    id: 'fr',
+    label: 'Français',
+    media: [
+      '<médias omis>', 'image absente', 'vidéo absente', 'audio omis', 'sticker omis', 'gif retiré',
+      'document omis', 'fiche contact omise'
+    ],
+    attachments: [
+      '(fichier joint)', '<pièce jointe'
+    ],
+    mediaKinds: {
+      photo: ['image absente'],
+      video: ['vidéo absente'],
+      voice: ['audio omis'],
+      sticker: ['sticker omis'],
+      gif: ['gif retiré'],
+      document: ['document omis'],
+      contact: ['fiche contact omise'],
+      location: ['position : https://', 'position en direct partagée']
+    },
+    deleted: [
+      'ce message a été supprimé', 'vous avez supprimé ce message'
+    ],
+    edited: [
+      '<ce message a été modifié>'
+    ],
+    viewOnce: [
+      'photo à vue unique absente', 'vidéo à vue unique absente', 'message vocal à vue unique absent',
+      'message à vue unique'
+    ],
+    pending: [
+      'en attente de ce message', 'en attente de ce message. cela peut prendre du temps.'
+    ],
+    system: [
+      /^les messages et les appels sont chiffrés de bout en bout\. .+$/,
+      /^.+ a créé le groupe [«"][^"»]*[»"]$/,
+      /^.+ a modifié le sujet (?:de [«"][^"»]*[»"] )?(?:en|à) [«"][^"»]*[»"]$/,
+      /^.+ a changé l['’]icône de ce groupe$/,
+      /^.+ a modifié la description du groupe$/,
+      /^.+ a rejoint ce groupe via le lien d['’]invitation$/,
+      /^.+ a changé de numéro de téléphone\. .+$/,
+      /^votre code de sécurité avec .+ a changé\. .+$/
+    ]
+  },
+  {
+    id: 'it',
+    label: 'Italiano',
+    media: [
+      '<media omessi>', 'immagine omessa', 'video omesso', 'audio omesso', 'sticker omesso', 'gif omessa',
+      'documento omesso', 'scheda contatto omessa'
+    ],
+    attachments: [
+      '(file allegato)', '<allegato:'
+    ],
+    mediaKinds: {
+      photo: ['immagine omessa'],
+      video: ['video omesso'],
+      voice: ['audio omesso'],
+      sticker: ['sticker omesso'],
+      gif: ['gif omessa'],
+      document: ['documento omesso'],
+      contact: ['scheda contatto omessa'],
+      location: ['posizione: https://', 'posizione in tempo reale condivisa']
+    },
+    deleted: [
+      'questo messaggio è stato eliminato', 'hai eliminato questo messaggio'
+    ],
+    edited: [
+      '<questo messaggio è stato modificato>'
+    ],
+    viewOnce: [
+      'foto a visualizzazione singola omessa', 'video a visualizzazione singola omesso',
+      'messaggio vocale a visualizzazione singola omesso', 'messaggio a visualizzazione singola'
+    ],
+    pending: [
+      'in attesa di questo messaggio', "in attesa di questo messaggio. potrebbe volerci un po' di tempo."
+    ],
+    system: [
+      /^i messaggi e le chiamate sono crittografati end-to-end\. .+$/,
+      /^.+ ha creato il gruppo "[^"]*"$/,
+      /^.+ ha cambiato l['’]oggetto (?:da "[^"]*" )?(?:in|a) "[^"]*"$/,
+      /^.+ ha cambiato l['’]immagine di questo gruppo$/,
+      /^.+ ha cambiato la descrizione del gruppo$/,
+      /^.+ si è unito tramite il link d['’]invito(?: a questo gruppo)?$/,
+      /^.+ ha cambiato il suo numero di telefono\. .+$/,
+      /^il tuo codice di sicurezza con .+ è cambiato\. .+$/
+    ]
+  },
+  {
+    id: 'nl',
+    label: 'Nederlands',
+    media: [
+      '<media weggelaten>', 'afbeelding weggelaten', 'video weggelaten', 'audio weggelaten', 'sticker weggelaten',
+      'gif weggelaten', 'document weggelaten', 'contactkaart weggelaten'
+    ],
+    attachments: [
+      '(bestand bijgevoegd)', '<bijlage:'
+    ],
+    mediaKinds: {
+      photo: ['afbeelding weggelaten'],
+      video: ['video weggelaten'],
+      voice: ['audio weggelaten'],
+      sticker: ['sticker weggelaten'],
+      gif: ['gif weggelaten'],
+      document: ['document weggelaten'],
+      contact: ['contactkaart weggelaten'],
+      location: ['locatie: https://', 'live locatie gedeeld']
+    },
+    deleted: [
+      'dit bericht is verwijderd', 'je hebt dit bericht verwijderd'
+    ],
+    edited: [
+      '<dit bericht is bewerkt>'
+    ],
+    viewOnce: [
+      'foto voor eenmalige weergave weggelaten', 'video voor eenmalige weergave weggelaten',
+      'spraakbericht voor eenmalige weergave weggelaten', 'bericht voor eenmalige weergave'
+    ],
+    pending: [
+      'wachten op dit bericht', 'wachten op dit bericht. dit kan even duren.'
+    ],
+    system: [
+      /^berichten en oproepen zijn end-to-end versleuteld\. .+$/,
+      /^.+ heeft groep "[^"]*" aangemaakt$/,
+      /^.+ heeft het onderwerp gewijzigd (?:van "[^"]*" )?naar "[^"]*"$/,
+      /^.+ heeft het groepspictogram gewijzigd$/,
+      /^.+ heeft de groepsbeschrijving gewijzigd$/,
+      /^.+ is lid geworden via de uitnodigingslink van deze groep$/,
+      /^.+ heeft zijn of haar telefoonnummer gewijzigd\. .+$/,
+      /^je beveiligingscode met .+ is gewijzigd\. .+$/
+    ]
+  }
+];
+
+export const DEFAULT_LANGUAGE_PACK_ID = 'en';
+
+export function getLanguagePack(id) {
+  return LANGUAGE_PACKS.find((pack) => pack.id === id) || null;
+}
+
+function includesAny(content, phrases) {
+  if (!content) return false;
+  const lc = content.toLowerCase();
+  return phrases.some((phrase) => lc.includes(phrase));
+}
+
+// Ordered so that the more specific WhatsApp file name prefixes win over extensions
+// (GIFs are exported as .mp4, stickers as .webp).
+const attachmentKindRules = [
+  { kind: 'sticker', pattern: /(?:^STK-|-STICKER-|\.webp$)/i },
+  { kind: 'gif', pattern: /(?:-GIF-|\.gif$)/i },
+  { kind: 'voice', pattern: /(?:^PTT-|^AUD-|-AUDIO-|\.(?:opus|ogg|m4a|mp3|aac|amr|wav)$)/i },
+  { kind: 'video', pattern: /(?:^VID-|-VIDEO-|\.(?:mp4|mov|3gp|mkv|avi|webm)$)/i },
+  { kind: 'photo', pattern: /(?:^IMG-|-PHOTO-|\.(?:jpe?g|png|heic|heif)$)/i },
+  { kind: 'contact', pattern: /\.vcf$/i }
+];
+
+export function extractAttachmentName(content, pack) {
+  if (!content || !includesAny(content, pack.attachments)) return null;
+  const text = content.replace(/[\u200e\u200f]/g, '').trim();
+  const bracketed = text.match(/^<[^:>]+:\s*([^>]+)>/);
+  if (bracketed) return bracketed[1].trim();
+  const suffixed = text.match(/^(\S[^\n]*?\.\w{2,5})\s+\(/);
+  return suffixed ? suffixed[1].trim() : null;
+}
+
+export function classifyAttachment(fileName) {
+  const rule = attachmentKindRules.find(({ pattern }) => pattern.test(fileName));
+  return rule ? rule.kind : 'document';
+}
+
+// Returns the media kind of a message (photo, video, voice, sticker, gif, document,
+// contact, location or other) or null when the message is not media.
+export function classifyMedia(content, pack) {
+  if (!content) return null;
+  const attachmentName = extractAttachmentName(content, pack);
+  if (attachmentName) {
+    return classifyAttachment(attachmentName);
+  }
+  for (const [kind, phrases] of Object.entries(pack.mediaKinds)) {
+    if (includesAny(content, phrases)) {
+      return kind;
+    }
+  }
+  return includesAny(content, pack.media) ? 'other' : null;
+}
+
+export function isMediaPlaceholder(content, pack) {
+  return classifyMedia(content, pack) !== null;
+}
+
+
+function matchesAny(content, patterns) {
+  if (!content) return false;
+  const text = content.replace(/[\u200e\u200f]/g, '').trim().toLowerCase();
+  return patterns.some((pattern) => pattern.test(text));
+}
+
+export function isSystemNotice(content, pack) {
+  return matchesAny(content, pack.system);
+}
+
+// iOS exports attribute some notices to the group or a member; those lines start with a
+// U+200E mark, which participants' own messages never do.
+export function isAttributedSystemNotice(content, pack) {
+  return /^\s*\u200e/.test(content || '') && isSystemNotice(content, pack);
+}
+
+// iOS ends some placeholders with a full stop ("This message was deleted.") and Android
+// does not, so both spellings match.
+function isWholePlaceholder(content, phrases) {
+  if (!content) return false;
+  const text = content.replace(/[\u200e\u200f]/g, '').trim().replace(/^<(.*)>$/, '$1').toLowerCase();
+  return phrases.includes(text) || phrases.includes(text.replace(/\.$/, ''));
+}
+
+export function isDeletedNotice(content, pack) {
+  return isWholePlaceholder(content, pack.deleted);
+}
+
+export function isViewOnceNotice(content, pack) {
+  return isWholePlaceholder(content, pack.viewOnce);
+}
+
+export function isPendingNotice(content, pack) {
+  return isWholePlaceholder(content, pack.pending);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Removes the "message was edited" marker WhatsApp appends to edited messages.
+export function stripEditedMarker(content, pack) {
+  if (!includesAny(content, pack.edited)) {
+    return { content, edited: false };
+  }
+  let stripped = content;
+  for (const phrase of pack.edited) {
+    stripped = stripped.replace(new RegExp(`\\s*\u200e?${escapeRegExp(phrase)}`, 'gi'), '');
+  }
+  return { content: stripped.trim(), edited: true };
+}
+
+// Scores every pack by how many messages contain one of its phrases and returns the
+// best match, falling back to English when nothing language-specific shows up.
+export function detectLanguagePack(messages) {
+  let best = getLanguagePack(DEFAULT_LANGUAGE_PACK_ID);
+  let bestScore = 0;
+
+  for (const pack of LANGUAGE_PACKS) {
+    let score = 0;
+    for (const message of messages) {
+      const content = message.content || '';
+      if (isMediaPlaceholder(content, pack) || isDeletedNotice(content, pack) || isSystemNotice(content, pack)
+        || includesAny(content, pack.edited)) {
+        score += 1;
+      }
+    }
+    if (score > bestScore) {
+      best = pack;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,85 @@
+// Force-directed layout (Fruchterman–Reingold) for the reply network. Nodes repel each
+// other, edges pull the people who reply to each other together, and the step size cools
+// every iteration so the layout settles. Nodes start on a circle, so the same chat always
+// produces the same picture.
+export function layoutNetwork(nodes, edges, { width = 640, height = 360, padding = 40, iterations = 300 } = {}) {
+  const count = nodes.length;
+  if (!count) return [];
+
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2;
+  const idealDistance = Math.sqrt((innerWidth * innerHeight) / count);
+  const radius = Math.min(innerWidth, innerHeight) / 2;
+  const positions = nodes.map((_, index) => ({
+    x: width / 2 + Math.cos((2 * Math.PI * index) / count) * radius,
+    y: height / 2 + Math.sin((2 * Math.PI * index) / count) * radius
+  }));
+  if (count === 1) {
+    return [{ ...nodes[0], x: width / 2, y: height / 2 }];
+  }
+
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+  const links = edges
+    .filter((edge) => indexById.has(edge.source) && indexById.has(edge.target) && edge.source !== edge.target)
+    .map((edge) => ({ source: indexById.get(edge.source), target: indexById.get(edge.target), weight: edge.weight || 1 }));
+  const maxWeight = Math.max(1, ...links.map((link) => link.weight));
+  const initialTemperature = Math.min(innerWidth, innerHeight) / 8;
+
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    const shifts = positions.map(() => ({ x: 0, y: 0 }));
+
+    for (let a = 0; a < count; a += 1) {
+      for (let b = a + 1; b < count; b += 1) {
+        const dx = positions[a].x - positions[b].x;
+        const dy = positions[a].y - positions[b].y;
+        const distance = Math.max(0.01, Math.hypot(dx, dy));
+        const force = (idealDistance * idealDistance) / distance;
+        shifts[a].x += (dx / distance) * force;
+        shifts[a].y += (dy / distance) * force;
+        shifts[b].x -= (dx / distance) * force;
+        shifts[b].y -= (dy / distance) * force;
+      }
+    }
+
+    for (const link of links) {
+      const dx = positions[link.source].x - positions[link.target].x;
+      const dy = positions[link.source].y - positions[link.target].y;
+      const distance = Math.max(0.01, Math.hypot(dx, dy));
+      // Heavier reply traffic pulls harder, so frequent partners end up side by side.
+      const force = ((distance * distance) / idealDistance) * (0.5 + link.weight / maxWeight);
+      shifts[link.source].x -= (dx / distance) * force;
+      shifts[link.source].y -= (dy / distance) * force;
+      shifts[link.target].x += (dx / distance) * force;
+      shifts[link.target].y += (dy / distance) * force;
+    }
+
+    const temperature = initialTemperature * (1 - iteration / iterations);
+    positions.forEach((position, index) => {
+      const shift = shifts[index];
+      const length = Math.max(0.01, Math.hypot(shift.x, shift.y));
+      const step = Math.min(length, temperature);
+      position.x = Math.min(width - padding, Math.max(padding, position.x + (shift.x / length) * step));
+      position.y = Math.min(height - padding, Math.max(padding, position.y + (shift.y / length) * step));
+    });
+  }
+
+  return nodes.map((node, index) => ({ ...node, x: positions[index].x, y: positions[index].y }));
+}
+
+// Collapses a reply matrix (replyMatrix[A][B] = A's replies to B) into one undirected,
+// weighted edge per pair of participants.
+export function buildReplyEdges(replyMatrix = {}) {
+  const edges = new Map();
+  for (const [author, targets] of Object.entries(replyMatrix)) {
+    for (const [target, entry] of Object.entries(targets)) {
+      if (author === target) continue;
+      const [source, sink] = [author, target].sort();
+      const key = `${source}\u0000${sink}`;
+      if (!edges.has(key)) {
+        edges.set(key, { source, target: sink, weight: 0 });
+      }
+      edges.get(key).weight += entry.count;
+    }
+  }
+  return Array.from(edges.values());
+}
@@ -0,0 +1,118 @@
+// Participant manager: maps the sender names found in an export to the identities the
+// dashboard should report. `aliases` maps an original name to its display name (two
+// names sharing a display name are merged) and `hidden` lists original names whose
+// messages are dropped, e.g. bots or yourself. The mapping is saved per chat.
+const STORAGE_PREFIX = 'whatsapp-dashboard:participants:';
+
+export function createEmptyMapping() {
+  return { aliases: {}, hidden: [] };
+}
+
+export function isEmptyMapping(mapping) {
+  return !mapping || (!Object.keys(mapping.aliases || {}).length && !(mapping.hidden || []).length);
+}
+
+export function resolveParticipant(name, mapping) {
+  return mapping?.aliases?.[name]?.trim() || name;
+}
+
+// Applied to parsed messages before any statistics are computed. Returns the input array
+// untouched when there is nothing to map.
+export function applyParticipantMapping(messages, mapping) {
+  if (isEmptyMapping(mapping)) {
+    return messages;
+  }
+
+  const hidden = new Set(mapping.hidden || []);
+  return messages
+    .filter((message) => message.type === 'system' || !hidden.has(message.author))
+    .map((message) => {
+      if (message.type === 'system') {
+        if (!message.event?.actor) return message;
+        return { ...message, event: { ...message.event, actor: resolveParticipant(message.event.actor, mapping) } };
+      }
+      const author = resolveParticipant(message.author, mapping);
+      return author === message.author ? message : { ...message, author };
+    });
+}
+
+// Message counts per original sender name, busiest first.
+export function listParticipants(messages) {
+  const counts = new Map();
+  for (const message of messages) {
+    if (message.type === 'system') continue;
+    counts.set(message.author, (counts.get(message.author) || 0) + 1);
+  }
+  return Array.from(counts, ([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+}
+
+function identityKey(name) {
+  const stripped = name
+    .normalize('NFKC')
+    .replace(/[\p{Extended_Pictographic}\u200d\ufe0f]/gu, '')
+    .replace(/^~\s*/, '');
+  const digits = stripped.replace(/\D/g, '');
+  // Phone numbers are compared by their digits so "+44 7700 900123" matches "+447700900123".
+  if (digits.length >= 7 && digits.length >= stripped.replace(/\s/g, '').length - 3) {
+    return `tel:${digits}`;
+  }
+  return stripped.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+}
+
+// Groups names that only differ by emoji, punctuation, case or phone formatting. A phone
+// number and a saved contact name cannot be linked automatically; that merge is manual.
+export function suggestParticipantMerges(names) {
+  const groups = new Map();
+  for (const name of names) {
+    const key = identityKey(name);
+    if (!key) continue;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(name);
+  }
+  return Array.from(groups.values()).filter((group) => group.length > 1);
+}
+
+// Identifies a chat by its opening messages, which stay the same when the chat is
+// re-exported later, so the mapping survives reloads and newer exports.
+export function getChatStorageKey(messages) {
+  const sample = messages
+    .slice(0, 50)
+    .map((message) => `${message.timestamp instanceof Date ? message.timestamp.getTime() : ''}|${message.author}`)
+    .join('\n');
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < sample.length; index += 1) {
+    hash ^= sample.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${STORAGE_PREFIX}${hash.toString(16)}`;
+}
+
+export function loadParticipantMapping(storageKey, storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(storageKey) || 'null');
+    if (!saved || typeof saved !== 'object') return createEmptyMapping();
+    return {
+      aliases: saved.aliases && typeof saved.aliases === 'object' ? saved.aliases : {},
+      hidden: Array.isArray(saved.hidden) ? saved.hidden : []
+    };
+  } catch (error) {
+    console.warn('Unable to read saved participant settings.', error);
+    return createEmptyMapping();
+  }
+}
+
+export function saveParticipantMapping(storageKey, mapping, storage = globalThis.localStorage) {
+  try {
+    if (isEmptyMapping(mapping)) {
+      storage?.removeItem(storageKey);
+    } else {
+      storage?.setItem(storageKey, JSON.stringify(mapping));
+    }
+    return true;
+  } catch (error) {
+    console.warn('Unable to save participant settings.', error);
+    return false;
+  }
+}
@@ -0,0 +1,229 @@
+import { LANGUAGE_PACKS } from './languagePacks.js';
+
+// Privacy mode: participant names become aliases and sensitive fragments of message
+// text are replaced with placeholder tokens. It runs on the parsed messages before any
+// statistics are computed, so the dashboard and every export see the same scrubbed data.
+export const REDACTION_TOKENS = {
+  phone: '[phone]',
+  email: '[email]',
+  url: '[link]',
+  custom: '[redacted]'
+};
+
+// Lets the word statistics skip the placeholders instead of counting "phone" or "link".
+export const REDACTION_TOKEN_PATTERN = /\[(?:phone|email|link|redacted)\]/g;
+
+export const DEFAULT_PRIVACY_OPTIONS = {
+  enabled: false,
+  aliases: {},
+  redactPhones: true,
+  redactEmails: true,
+  redactUrls: true,
+  customPatterns: []
+};
+
+const urlPattern = /\b(?:https?:\/\/|www\.)\S+/gi;
+const emailPattern = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+// Candidate runs of digits and separators; isPhoneNumber decides. The look-arounds keep
+// attachment names such as IMG-20240101-WA0001.jpg intact.
+const phoneCandidatePattern = /(?<![\p{L}\p{N}-])\+?\(?\d[\d\s().-]{5,}\d(?![\p{L}\p{N}]|-[\p{L}\p{N}])/gu;
+const phoneSeparatorPattern = /\d[\s().-]+\d/;
+const dateLikePattern = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+
+// "<attached: 00000012-PHOTO-….jpg>", "IMG-….jpg (file attached)" and shared locations
+// ("location: https://maps.google.com/?q=…") in every language pack. They must survive
+// untouched so media still matches the archive and locations still count and plot.
+const protectedTokenPattern = new RegExp(
+  LANGUAGE_PACKS.flatMap((pack) => [
+    ...pack.attachments.map((phrase) => (phrase.startsWith('<')
+      ? `\u200e?${escapeRegExp(phrase)}[^>\n]*>`
+      : `^[^\n]*?\\.\\w{2,5}\\s+${escapeRegExp(phrase)}`)),
+    ...pack.mediaKinds.location
+      .filter((phrase) => phrase.endsWith('https://'))
+      .map((phrase) => `${escapeRegExp(phrase)}\\S+`)
+  ]).join('|'),
+  'gimu'
+);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A bare run of digits ("1234567 pounds") is not enough: phone numbers need an
+// international prefix (+ or 00) or the usual spaces, dots, dashes or brackets.
+function isPhoneNumber(candidate) {
+  const text = candidate.trim();
+  const digits = text.replace(/\D/g, '').length;
+  if (digits < 7 || digits > 15 || dateLikePattern.test(text)) return false;
+  return /^(?:\+|\(?00)/.test(text) || phoneSeparatorPattern.test(text);
+}
+
+function aliasLetters(index) {
+  let letters = '';
+  let value = index;
+  do {
+    letters = String.fromCharCode(65 + (value % 26)) + letters;
+    value = Math.floor(value / 26) - 1;
+  } while (value >= 0);
+  return letters;
+}
+
+// Assigns "Participant A", "Participant B"… by descending message count so the busiest
+// sender is always A; user-chosen labels in `customAliases` take precedence.
+export function buildAliasMap(messages, customAliases = {}) {
+  const counts = new Map();
+  for (const message of messages) {
+    if (message.type === 'system' || !message.author) continue;
+    counts.set(message.author, (counts.get(message.author) || 0) + 1);
+  }
+
+  const aliases = new Map();
+  const participants = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+  let nextLetter = 0;
+  for (const participant of participants) {
+    const custom = customAliases[participant]?.trim();
+    if (custom) {
+      aliases.set(participant, custom);
+    } else {
+      aliases.set(participant, `Participant ${aliasLetters(nextLetter)}`);
+      nextLetter += 1;
+    }
+  }
+  return aliases;
+}
+
+// Parses one pattern per line. Lines may be plain regex sources or /source/flags.
+export function parseCustomPatterns(text = '') {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+      const source = literal ? literal[1] : line;
+      const flags = new Set((literal ? literal[2] : 'i').split(''));
+      flags.add('g');
+      try {
+        return new RegExp(source, Array.from(flags).join(''));
+      } catch (error) {
+        throw new Error(`Invalid redaction pattern "${line}": ${error.message}`);
+      }
+    });
+}
+
+// Parses "Real name = Alias" lines from the alias editor.
+export function parseAliasList(text = '') {
+  const aliases = {};
+  for (const line of text.split(/\r?\n/)) {
+    const separator = line.lastIndexOf('=');
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).trim();
+    const alias = line.slice(separator + 1).trim();
+    if (name && alias) {
+      aliases[name] = alias;
+    }
+  }
+  return aliases;
+}
+
+export function createRedactor(options = {}, aliases = new Map()) {
+  const settings = { ...DEFAULT_PRIVACY_OPTIONS, ...options };
+  const customPatterns = settings.customPatterns || [];
+
+  // Names are matched as whole words, longest first, so "Ana Maria" wins over "Ana".
+  // Unique first names are included too, since people are usually mentioned that way.
+  const replacements = new Map(aliases);
+  const firstNames = new Map();
+  for (const [name, alias] of aliases) {
+    const [firstName] = name.split(/\s+/);
+    if (firstName && firstName !== name && firstName.length >= 3) {
+      firstNames.set(firstName, firstNames.has(firstName) ? null : alias);
+    }
+  }
+  for (const [firstName, alias] of firstNames) {
+    if (alias && !replacements.has(firstName)) {
+      replacements.set(firstName, alias);
+    }
+  }
+  const names = Array.from(replacements.keys()).filter(Boolean).sort((a, b) => b.length - a.length);
+  const namePattern = names.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    : null;
+  const aliasByLowerName = new Map(Array.from(replacements, ([name, alias]) => [name.toLowerCase(), alias]));
+
+  const redactSegment = (text) => {
+    let result = text;
+    if (settings.redactUrls) {
+      result = result.replace(urlPattern, REDACTION_TOKENS.url);
+    }
+    if (settings.redactEmails) {
+      result = result.replace(emailPattern, REDACTION_TOKENS.email);
+    }
+    if (settings.redactPhones) {
+      result = result.replace(phoneCandidatePattern, (match) => (isPhoneNumber(match) ? REDACTION_TOKENS.phone : match));
+    }
+    for (const pattern of customPatterns) {
+      result = result.replace(pattern, REDACTION_TOKENS.custom);
+    }
+    if (namePattern) {
+      result = result.replace(namePattern, (match) => aliasByLowerName.get(match.toLowerCase()) || match);
+    }
+    return result;
+  };
+
+  return (text) => {
+    if (!text) return text;
+    let result = '';
+    let offset = 0;
+    for (const match of text.matchAll(protectedTokenPattern)) {
+      result += redactSegment(text.slice(offset, match.index)) + match[0];
+      offset = match.index + match[0].length;
+    }
+    return result + redactSegment(text.slice(offset));
+  };
+}
+
+function pseudonymiseEvent(event, aliasOf, redact) {
+  if (!event) return event;
+  return {
+    ...event,
+    actor: event.actor ? aliasOf(event.actor) : event.actor,
+    target: event.target ? redact(event.target) : event.target,
+    detail: event.detail ? redact(event.detail) : event.detail,
+    previous: event.previous ? redact(event.previous) : event.previous
+  };
+}
+
+// Returns scrubbed copies of the messages plus the alias map that was used. The input
+// array is left untouched so privacy mode can be switched off again.
+export function applyPrivacy(messages, options = {}) {
+  const settings = { ...DEFAULT_PRIVACY_OPTIONS, ...options };
+  if (!settings.enabled) {
+    return { messages, aliases: new Map() };
+  }
+
+  const aliases = buildAliasMap(messages, settings.aliases);
+  const redact = createRedactor(settings, aliases);
+  const aliasOf = (name) => aliases.get(name) || redact(name);
+
+  const scrubbed = messages.map((message) => {
+    const copy = {
+      ...message,
+      author: message.type === 'system' ? message.author : aliasOf(message.author),
+      content: redact(message.content)
+    };
+    if (message.event) {
+      copy.event = pseudonymiseEvent(message.event, aliasOf, redact);
+    }
+    if (message.poll) {
+      copy.poll = {
+        ...message.poll,
+        question: redact(message.poll.question),
+        options: message.poll.options.map((option) => ({ ...option, text: redact(option.text) }))
+      };
+    }
+    return copy;
+  });
+
+  return { messages: scrubbed, aliases };
+}
@@ -1,8 +1,40 @@
-import { readFile } from 'node:fs/promises';
+import { readFile, writeFile, mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import JSZip from 'jszip';
-import { parseChat, computeStatistics, generateMarkdownSummary, filterMessagesByDate } from '../js/chatParser.js';
+import {
+  parseChat,
+  computeStatistics,
+  generateMarkdownSummary,
+  filterMessagesByDate,
+  detectChatTranscript,
+  buildLocationsGeoJSON,
+  buildStatisticsIndex,
+  buildActivityTimeline,
+  buildCalendarHeatmap,
+  describeChronotypes,
+  queryStatisticsIndex,
+  serializeAnalysis,
+  parseAnalysisExport,
+  buildMessagesCsv,
+  buildDailyActivityCsv,
+  buildParticipationCsv
+} from '../js/chatParser.js';
+import { runAnalysisTask } from '../js/analysisTasks.js';
+import { buildHtmlReport } from '../js/htmlReport.js';
+import { applyPrivacy, parseCustomPatterns, parseAliasList } from '../js/privacy.js';
+import {
+  applyParticipantMapping,
+  getChatStorageKey,
+  listParticipants,
+  loadParticipantMapping,
+  saveParticipantMapping,
+  suggestParticipantMerges
+} from '../js/participants.js';
+import { buildReplyEdges, layoutNetwork } from '../js/networkLayout.js';
 import { JSDOM } from 'jsdom';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -184,6 +216,73 @@ async function main() {
     throw new Error('Media placeholder messages should not change the total word count.');
   }
 
+  const spanishChat = [
+    '31/12/23, 21:04 - Ana: Feliz año nuevo amigos',
+    '31/12/23, 21:05 - Luis: <Multimedia omitido>',
+    '31/12/23, 21:06 - Ana: Se eliminó este mensaje',
+    '31/12/23, 21:07 - Luis: Gracias hermana'
+  ].join('\n');
+  const spanishResult = parseChat(spanishChat);
+  if (spanishResult.languagePack !== 'es') {
+    throw new Error(`Spanish placeholders should select the Spanish language pack, got ${spanishResult.languagePack}.`);
+  }
+  const spanishStats = computeStatistics(spanishResult.messages);
+  if (spanishStats.mediaCount !== 1 || spanishStats.deletedCount !== 1) {
+    throw new Error('Spanish media and deleted placeholders should be recognised by the auto-detected pack.');
+  }
+  if (spanishStats.wordFrequency.multimedia || spanishStats.wordFrequency.eliminó) {
+    throw new Error('Localized placeholders should not contribute to word frequencies.');
+  }
+  const noticeLookalikes = [
+    '01/02/24, 09:00 - Ana: I created group chats for each team, check your invites',
+    '01/02/24, 09:01 - Ben: who changed the subject line on the newsletter?',
+    '01/02/24, 09:02 - Ana: Tom hat die Gruppe verlassen, glaube ich',
+    '01/02/24, 09:03 - Ben: Lisa heeft groep gemaakt voor het weekend',
+    '01/02/24, 09:04 - Ana: \u200eAna hat das Gruppenbild geändert'
+  ].join('\n');
+  const lookalikeMessages = parseChat(noticeLookalikes).messages;
+  const lookalikeStats = computeStatistics(lookalikeMessages, { languagePack: 'en' });
+  if (lookalikeStats.totalMessages !== 5 || lookalikeStats.systemCount !== 0) {
+    throw new Error(`Messages that only mention notice phrases should count as messages, got ${lookalikeStats.totalMessages} and ${lookalikeStats.systemCount} system.`);
+  }
+  const germanNoticeStats = computeStatistics(lookalikeMessages, { languagePack: 'de' });
+  if (germanNoticeStats.totalMessages !== 4 || germanNoticeStats.systemCount !== 1) {
+    throw new Error('Only U+200E-marked lines matching a whole notice should be counted as system notices.');
+  }
+
+  const forcedEnglishStats = computeStatistics(spanishResult.messages, { languagePack: 'en' });
+  if (forcedEnglishStats.mediaCount !== 0 || !forcedEnglishStats.wordFrequency.multimedia) {
+    throw new Error('Selecting a language pack explicitly should override auto-detection.');
+  }
+
+  const mediaChat = [
+    '31/12/23, 21:00 - Ana: IMG-20231231-WA0001.jpg (file attached)',
+    '31/12/23, 21:01 - Ana: PTT-20231231-WA0002.opus (file attached)',
+    '31/12/23, 21:02 - Ben: STK-20231231-WA0003.webp (file attached)',
+    '[31/12/23, 21:03:00] Ben: \u200e<attached: 00000012-PHOTO-2023-12-31-21-03-00.jpg>',
+    '[31/12/23, 21:04:00] Ben: \u200e<attached: 00000013-GIF-2023-12-31-21-04-00.mp4>',
+    '31/12/23, 21:05 - Ana: audio omitted',
+    '31/12/23, 21:06 - Ana: document omitted',
+    '31/12/23, 21:07 - Ben: <Media omitted>',
+    '31/12/24, 08:00 - Ben: Contact card omitted'
+  ].join('\n');
+  const mediaStats = computeStatistics(parseChat(mediaChat).messages);
+  const expectedMediaKinds = { photo: 2, voice: 2, sticker: 1, gif: 1, document: 1, other: 1, contact: 1 };
+  for (const [kind, count] of Object.entries(expectedMediaKinds)) {
+    if (mediaStats.mediaByKind[kind] !== count) {
+      throw new Error(`Expected ${count} ${kind} attachments, got ${mediaStats.mediaByKind[kind]}.`);
+    }
+  }
+  if (mediaStats.mediaCount !== 9 || mediaStats.totalWords !== 0) {
+    throw new Error('Attached and omitted media should all count as media without contributing words.');
+  }
+  if (mediaStats.mediaByParticipant.Ana.voice !== 2 || mediaStats.mediaByParticipant.Ben.photo !== 1) {
+    throw new Error('Media kinds should be tallied per participant.');
+  }
+  if (mediaStats.mediaByDate.get('2024-12-31')?.contact !== 1) {
+    throw new Error('Media kinds should be tallied per day.');
+  }
+
   const roundToTenth = (value) => Math.round(value * 10) / 10;
 
   const ensureAveragesMatchCounts = (currentStats) => {
@@ -249,8 +348,9 @@ async function main() {
     }
   }
 
-  if (stats.totalMessages !== 11) {
-    throw new Error(`Example chat should contain 11 messages, found ${stats.totalMessages}.`);
+  // The U+200E-marked encryption notice is parsed as a group event, so it is the one system message.
+  if (stats.totalMessages + stats.systemCount !== 11 || stats.systemCount !== 1) {
+    throw new Error(`Example chat should contain 11 messages, found ${stats.totalMessages} and ${stats.systemCount} system.`);
   }
 
   if (stats.totalMessages <= 0) {
@@ -328,6 +428,762 @@ async function main() {
     throw new Error('DMY interpretation should result in a smaller overall timespan than MDY for the ambiguous sample.');
   }
 
+  const localizedHeaders = [
+    { line: '31.12.23, 21:04 - Anna: Frohes neues Jahr', pattern: 'android-dot', hours: 21 },
+    { line: '[31.12.23, 21:04:05] Anna: Frohes neues Jahr', pattern: 'ios-dot', hours: 21 },
+    { line: '31-12-2023 21:04 - Jan: Gelukkig nieuwjaar', pattern: 'android-dash', hours: 21 },
+    { line: '2023-12-31 21:04 - Li: Happy new year', pattern: 'android-ymd', hours: 21 },
+    { line: '2023/12/31 下午9:04 - 李: 新年快乐', pattern: 'android-ymd', hours: 21 },
+    { line: '[2023/12/31 上午12:04:05] 李: 新年快乐', pattern: 'ios-ymd', hours: 0 },
+    { line: '31/12/23, 9:04 p. m. - Ana: Feliz año nuevo', pattern: 'android-slash', hours: 21 },
+    { line: '31.12.2023 klo 21.04 - Matti: Hyvää uutta vuotta', pattern: 'android-dot', hours: 21 }
+  ];
+
+  for (const { line, pattern, hours } of localizedHeaders) {
+    const localizedResult = parseChat(line);
+    if (localizedResult.messages.length !== 1) {
+      throw new Error(`Expected the localized header "${line}" to yield one message.`);
+    }
+    const [localizedMessage] = localizedResult.messages;
+    const { timestamp } = localizedMessage;
+    if (timestamp.getFullYear() !== 2023 || timestamp.getMonth() !== 11 || timestamp.getDate() !== 31) {
+      throw new Error(`Localized header "${line}" should resolve to 31 December 2023.`);
+    }
+    if (timestamp.getHours() !== hours || timestamp.getMinutes() !== 4) {
+      throw new Error(`Localized header "${line}" should resolve to ${hours}:04.`);
+    }
+    if (localizedMessage.type !== 'message' || !localizedMessage.author) {
+      throw new Error(`Localized header "${line}" should keep its author.`);
+    }
+    if (localizedResult.headerPattern?.id !== pattern) {
+      throw new Error(`Localized header "${line}" should report the ${pattern} pattern, got ${localizedResult.headerPattern?.id}.`);
+    }
+  }
+
+  const yearFirstResult = parseChat('2024-02-03 09:15 - Alice: Planning\n2024-02-04 10:05 - Bob: Following up');
+  if (yearFirstResult.dateFormat !== 'YMD' || yearFirstResult.ambiguous) {
+    throw new Error('Year-first exports should be detected as an unambiguous YMD format.');
+  }
+
+  const groupChat = [
+    '01/02/2024, 09:00 - Alice created group "Book club"',
+    '01/02/2024, 09:01 - Alice added Bob and Carol',
+    '01/02/2024, 09:02 - Bob: Hi all',
+    '01/02/2024, 09:03 - Alice changed the subject from "Book club" to "Readers"',
+    '[01/02/2024, 09:04:00] Readers: \u200eAlice removed Carol',
+    '01/02/2024, 09:05 - Dave joined using this group\'s invite link',
+    '01/02/2024, 09:06 - You\'re now an admin'
+  ].join('\n');
+  const groupResult = parseChat(groupChat);
+  const groupEventKinds = groupResult.messages.filter((message) => message.event).map((message) => message.event.kind);
+  const expectedKinds = ['group-created', 'member-added', 'subject-changed', 'member-removed', 'member-joined', 'admin-added'];
+  if (JSON.stringify(groupEventKinds) !== JSON.stringify(expectedKinds)) {
+    throw new Error(`Unexpected group event classification: ${groupEventKinds.join(', ')}.`);
+  }
+  const addedEvent = groupResult.messages[1].event;
+  if (addedEvent.actor !== 'Alice' || addedEvent.target !== 'Bob and Carol') {
+    throw new Error('Member additions should capture both the actor and the added members.');
+  }
+  const renameEvent = groupResult.messages[3].event;
+  if (renameEvent.previous !== 'Book club' || renameEvent.detail !== 'Readers') {
+    throw new Error('Subject changes should capture the previous and new group names.');
+  }
+  if (groupResult.messages[4].type !== 'system' || groupResult.messages[4].author !== 'System') {
+    throw new Error('iOS group notices attributed to the group should be reclassified as system events.');
+  }
+  const groupStats = computeStatistics(groupResult.messages);
+  if (groupStats.groupEvents.length !== 6 || groupStats.totalMessages !== 1) {
+    throw new Error('Group events should be reported separately from participant messages.');
+  }
+  const groupMarkdown = generateMarkdownSummary({ messages: groupResult.messages, stats: groupStats, sampleCount: 0 });
+  if (!groupMarkdown.includes('## Group changes') || !groupMarkdown.includes('Alice removed Carol')) {
+    throw new Error('Markdown summary should list group changes.');
+  }
+
+  const transcriptSniff = detectChatTranscript(rawText);
+  if (transcriptSniff.headerCount !== 11 || transcriptSniff.headerPattern?.id !== 'ios-slash') {
+    throw new Error('The example export should be recognised as an iOS transcript with 11 headers.');
+  }
+  const notesSniff = detectChatTranscript('Shopping list\n- milk\n- eggs 12/03/2024');
+  if (notesSniff.headerCount !== 0 || notesSniff.headerPattern !== null) {
+    throw new Error('Unrelated text files should not be detected as chat transcripts.');
+  }
+
+  const pollChat = [
+    '12/31/23, 9:04 PM - Alice: POLL:',
+    'Where should we eat tonight?',
+    'OPTION: Pizza place (3 votes)',
+    'OPTION: Sushi bar (1 vote)',
+    'OPTION: Tapas (0 votes)',
+    '12/31/23, 9:10 PM - Bob: Pizza it is'
+  ].join('\n');
+  const pollResult = parseChat(pollChat);
+  const [pollMessage] = pollResult.messages;
+  if (pollMessage.type !== 'poll' || pollMessage.poll.question !== 'Where should we eat tonight?') {
+    throw new Error('Poll messages should be parsed with their question.');
+  }
+  if (pollMessage.poll.options.length !== 3 || pollMessage.poll.options[1].votes !== 1 || pollMessage.poll.totalVotes !== 4) {
+    throw new Error('Poll options and vote counts should be parsed.');
+  }
+  const pollStats = computeStatistics(pollResult.messages);
+  if (pollStats.polls.length !== 1 || pollStats.wordFrequency.sushi || pollStats.wordFrequency.option) {
+    throw new Error('Polls should be listed separately and excluded from word statistics.');
+  }
+  const pollMarkdown = generateMarkdownSummary({ messages: pollResult.messages, stats: pollStats, sampleCount: 0 });
+  if (!pollMarkdown.includes('## Polls') || !pollMarkdown.includes('| Pizza place | 3 | 75% |')) {
+    throw new Error('Markdown summary should render poll results as a table.');
+  }
+
+  const locationChat = [
+    '31/12/23, 21:00 - Ana: location: https://maps.google.com/?q=51.5,-0.12',
+    '[31/12/23, 21:01:00] Ben: \u200eLocation: https://maps.google.com/?q=48.8566,2.3522',
+    '31/12/23, 21:02 - Ben: Live location shared',
+    '31/12/23, 21:03 - Ana: See you there'
+  ].join('\n');
+  const locationStats = computeStatistics(parseChat(locationChat).messages);
+  if (locationStats.locations.length !== 3) {
+    throw new Error(`Expected three shared locations, got ${locationStats.locations.length}.`);
+  }
+  const [firstLocation, secondLocation, liveLocation] = locationStats.locations;
+  if (firstLocation.author !== 'Ana' || firstLocation.latitude !== 51.5 || firstLocation.longitude !== -0.12) {
+    throw new Error('Shared locations should be attributed to their sender with parsed coordinates.');
+  }
+  if (secondLocation.author !== 'Ben' || secondLocation.latitude !== 48.8566) {
+    throw new Error('iOS location messages should be parsed.');
+  }
+  if (!liveLocation.live || liveLocation.latitude !== null) {
+    throw new Error('Live location notices should be reported without coordinates.');
+  }
+  const geojson = buildLocationsGeoJSON(locationStats.locations);
+  if (geojson.type !== 'FeatureCollection' || geojson.features.length !== 2) {
+    throw new Error('GeoJSON export should include only locations with coordinates.');
+  }
+  const [lng, lat] = geojson.features[0].geometry.coordinates;
+  if (lng !== -0.12 || lat !== 51.5 || geojson.features[0].properties.author !== 'Ana') {
+    throw new Error('GeoJSON features should use [longitude, latitude] order and keep the sender.');
+  }
+
+  const callChat = [
+    '31/12/23, 20:00 - Ana: Missed voice call',
+    '31/12/23, 20:05 - Ben: Voice call, 12 min',
+    '31/12/23, 20:30 - Ana: Video call, 1 hr 3 min',
+    '[31/12/23, 21:00:00] Ben: \u200eMissed group video call, \u200eTap to call back',
+    '31/12/23, 21:05 - Ben: That voice call was great'
+  ].join('\n');
+  const callResult = parseChat(callChat);
+  const callTypes = callResult.messages.map((message) => message.type);
+  if (JSON.stringify(callTypes) !== JSON.stringify(['call', 'call', 'call', 'call', 'message'])) {
+    throw new Error(`Call log lines should be parsed as calls, got ${callTypes.join(', ')}.`);
+  }
+  const [missedCall, voiceCall, videoCall, groupCall] = callResult.messages.map((message) => message.call);
+  if (!missedCall.missed || missedCall.medium !== 'voice' || voiceCall.durationSeconds !== 720) {
+    throw new Error('Voice calls should capture the missed flag and duration.');
+  }
+  if (videoCall.medium !== 'video' || videoCall.durationSeconds !== 3780) {
+    throw new Error('Video call durations with hours should be parsed.');
+  }
+  if (!groupCall.group || !groupCall.missed) {
+    throw new Error('Missed group calls should be flagged as group and missed.');
+  }
+  const callStats = computeStatistics(callResult.messages);
+  if (callStats.calls.totalCalls !== 4 || callStats.calls.totalSeconds !== 4500 || callStats.calls.missedRate !== 0.5) {
+    throw new Error('Call statistics should total calls, talk time and missed rate.');
+  }
+  if (callStats.totalMessages !== 1 || callStats.wordFrequency.missed || callStats.wordFrequency.min) {
+    throw new Error('Call log lines should not count as messages or words.');
+  }
+  if (callStats.calls.byParticipant.Ben.calls !== 2 || callStats.calls.byParticipant.Ana.totalSeconds !== 3780) {
+    throw new Error('Calls should be tallied per participant.');
+  }
+  const callMarkdown = generateMarkdownSummary({ messages: callResult.messages, stats: callStats, sampleCount: 0 });
+  if (!callMarkdown.includes('## Calls') || !callMarkdown.includes('1 hr 15 min')) {
+    throw new Error('Markdown summary should include a calls section with total talk time.');
+  }
+
+  const placeholderChat = [
+    '31/12/23, 20:00 - Ana: Dinner at eight \u200e<This message was edited>',
+    '31/12/23, 20:01 - Ana: This message was deleted',
+    '31/12/23, 20:02 - Ben: Waiting for this message. This may take a while.',
+    '31/12/23, 20:03 - Ben: View once photo omitted',
+    '31/12/23, 20:04 - Ben: Sounds good'
+  ].join('\n');
+  const placeholderResult = parseChat(placeholderChat);
+  const [editedMessage, deletedMessage, pendingMessage, viewOnceMessage] = placeholderResult.messages;
+  if (!editedMessage.edited || editedMessage.content !== 'Dinner at eight') {
+    throw new Error('Edited markers should be stripped and flagged.');
+  }
+  if (!deletedMessage.deleted || !pendingMessage.pending || !viewOnceMessage.viewOnce) {
+    throw new Error('Deleted, pending and view-once placeholders should be flagged.');
+  }
+  const placeholderStats = computeStatistics(placeholderResult.messages);
+  if (placeholderStats.wordFrequency.waiting || placeholderStats.wordFrequency.deleted || placeholderStats.wordFrequency.edited) {
+    throw new Error('Placeholder text should not count towards word statistics.');
+  }
+  if (placeholderStats.deletedCount !== 1 || placeholderStats.editedCount !== 1 || placeholderStats.pendingCount !== 1) {
+    throw new Error('Deleted, edited and pending messages should be counted.');
+  }
+  if (placeholderStats.editActivityByParticipant.Ana.deletedRate !== 0.5 || placeholderStats.editActivityByParticipant.Ana.editedRate !== 0.5) {
+    throw new Error('Deletion and edit rates should be computed per participant.');
+  }
+  const placeholderLookalikes = parseChat([
+    '31/12/23, 21:00 - Ana: Did you send it as view once? I cannot open it',
+    '31/12/23, 21:01 - Ben: Still waiting for this message to load on my phone',
+    '31/12/23, 21:02 - Ana: I think this message was deleted by Bob'
+  ].join('\n')).messages;
+  const lookalikePlaceholderStats = computeStatistics(placeholderLookalikes);
+  if (placeholderLookalikes.some((message) => message.viewOnce || message.pending || message.deleted)
+    || lookalikePlaceholderStats.viewOnceCount !== 0 || lookalikePlaceholderStats.pendingCount !== 0
+    || lookalikePlaceholderStats.deletedCount !== 0 || lookalikePlaceholderStats.totalWords !== 14) {
+    throw new Error(`Messages that only mention placeholder phrases should keep their words, got ${lookalikePlaceholderStats.totalWords}.`);
+  }
+  if (!parseChat('[31/12/23, 21:03:00] Ana: \u200eThis message was deleted.').messages[0].deleted) {
+    throw new Error('iOS deleted placeholders with a trailing full stop should still be flagged.');
+  }
+  const placeholderMarkdown = generateMarkdownSummary({ messages: placeholderResult.messages, stats: placeholderStats, sampleCount: 0 });
+  if (!placeholderMarkdown.includes('1 deleted (50%)') || !placeholderMarkdown.includes('**Edited messages:** 1')) {
+    throw new Error('Markdown summary should report deletions and edits.');
+  }
+
+  const progressUpdates = [];
+  const taskParse = runAnalysisTask('parse', { text: rawText }, (phase, ratio) => progressUpdates.push({ phase, ratio }));
+  const taskIndex = runAnalysisTask('index', { messages: taskParse.messages, options: {} }, (phase, ratio) => progressUpdates.push({ phase, ratio }));
+  if (taskParse.messages.length !== messages.length || queryStatisticsIndex(taskIndex).totalMessages !== computeStatistics(messages).totalMessages) {
+    throw new Error('Analysis tasks should return the same shape as parseChat and computeStatistics.');
+  }
+  if (!progressUpdates.some((update) => update.phase === 'parse') || !progressUpdates.some((update) => update.phase === 'index')) {
+    throw new Error('Analysis tasks should report progress for each phase.');
+  }
+
+  const indexedChat = [
+    '01/03/24, 22:50 - Ana: Late night plans? 🎉',
+    '01/03/24, 23:55 - Ben: Still awake, cinema tomorrow',
+    '02/03/24, 07:10 - Ana: Morning! Cinema sounds great',
+    '02/03/24, 07:12 - Ana: image omitted',
+    '02/03/24, 09:00 - Ben: Booking the cinema tickets now 🎉',
+    '02/03/24, 09:05 - Ana: Missed voice call',
+    '03/03/24, 10:00 - Ben: This message was deleted',
+    '03/03/24, 10:30 - Ana: Cinema was great, thanks Ben'
+  ].join('\n');
+  const indexedMessages = parseChat(indexedChat).messages;
+  const statisticsIndex = buildStatisticsIndex(indexedMessages, { languagePack: 'en' });
+  const serialiseStats = (value) => JSON.stringify(value, (key, entry) => (entry instanceof Map ? Array.from(entry) : entry));
+  const indexRanges = [[null, null], ['2024-03-02', null], [null, '2024-03-02'], ['2024-03-02', '2024-03-02'], ['2024-03-04', null]];
+  for (const [startDate, endDate] of indexRanges) {
+    for (const responseOptions of [{}, { responseGapMinutes: 60, overnightBufferMinutes: 480 }]) {
+      const expected = computeStatistics(filterMessagesByDate(indexedMessages, startDate, endDate), { ...responseOptions, languagePack: 'en' });
+      const actual = queryStatisticsIndex(statisticsIndex, { ...responseOptions, startDate, endDate });
+      if (serialiseStats(actual) !== serialiseStats(expected)) {
+        throw new Error(`Indexed statistics for ${startDate} → ${endDate} should match computeStatistics on the filtered messages.`);
+      }
+    }
+  }
+
+  // Worked out by hand, so a bug shared by the index and computeStatistics still shows up.
+  // Ana's 07:10 reply answers Ben's 23:55 message, so it disappears once 1 March is cut off.
+  const indexExpectations = [
+    {
+      range: [null, null],
+      options: {},
+      totalMessages: 7, counts: { Ana: 4, Ben: 3 }, totalWords: 17, deletedCount: 1,
+      medians: { Ana: 232.5, Ben: 86.5 }
+    },
+    {
+      range: [null, null],
+      options: { responseGapMinutes: 60, overnightBufferMinutes: 480 },
+      totalMessages: 7, counts: { Ana: 4, Ben: 3 }, totalWords: 17, deletedCount: 1,
+      medians: { Ana: 232.5 }
+    },
+    {
+      range: ['2024-03-02', null],
+      options: {},
+      totalMessages: 5, counts: { Ana: 3, Ben: 2 }, totalWords: 10, deletedCount: 1,
+      medians: { Ana: 30, Ben: 108 }
+    },
+    {
+      range: ['2024-03-02', '2024-03-02'],
+      options: {},
+      totalMessages: 3, counts: { Ana: 2, Ben: 1 }, totalWords: 7, deletedCount: 0,
+      medians: { Ben: 108 }
+    }
+  ];
+  for (const { range: [startDate, endDate], options, totalMessages, counts, totalWords, deletedCount, medians } of indexExpectations) {
+    const actual = queryStatisticsIndex(statisticsIndex, { ...options, startDate, endDate });
+    const actualMedians = Object.fromEntries(Object.entries(actual.responseTimes).map(([name, entry]) => [name, entry.medianMinutes]));
+    if (actual.totalMessages !== totalMessages || actual.totalWords !== totalWords || actual.deletedCount !== deletedCount
+      || actual.mediaCount !== 1 || actual.calls.totalCalls !== 1
+      || JSON.stringify(actual.messageCountByParticipant) !== JSON.stringify(counts)
+      || JSON.stringify(Object.entries(actualMedians).sort()) !== JSON.stringify(Object.entries(medians).sort())) {
+      throw new Error(`Unexpected indexed statistics for ${startDate} → ${endDate}: ${JSON.stringify({ ...actual, messagesByDate: undefined })}.`);
+    }
+  }
+
+  const cliPath = path.resolve(__dirname, '..', 'bin', 'whatsapp-insights.js');
+  const examplePath = path.resolve(__dirname, '..', 'test.zip');
+  const runCli = (...args) => promisify(execFile)(process.execPath, [cliPath, examplePath, ...args]);
+  const cliJson = JSON.parse((await runCli('--format', 'json')).stdout);
+  if (cliJson.totalMessages !== stats.totalMessages || cliJson.participants.length !== stats.participants.length) {
+    throw new Error('CLI JSON output should match computeStatistics for the example chat.');
+  }
+  const cliMarkdown = (await runCli('--from', '2025-07-31', '--to', '2025-07-31', '--title', 'Weekly recap')).stdout;
+  if (!cliMarkdown.startsWith('# Weekly recap') || !cliMarkdown.includes('2025-07-31 → 2025-07-31')) {
+    throw new Error('CLI should print the Markdown summary for the requested range.');
+  }
+  const cliTable = (await runCli('--format', 'table')).stdout;
+  if (!cliTable.includes('Participant') || !cliTable.includes('Imbl')) {
+    throw new Error('CLI table output should list participants.');
+  }
+  // Every date in the example export is month-first, so forcing DMY drops them all.
+  const cliWrongOrder = await runCli('--date-format', 'DMY', '--format', 'json').then((result) => result, (error) => error);
+  if (!/warning: .*test\.zip: \d+ messages dropped because their dates do not exist in DMY order; check --date-format/.test(cliWrongOrder.stderr)) {
+    throw new Error(`CLI should warn when messages are dropped for invalid dates, got ${cliWrongOrder.stderr}.`);
+  }
+  const mixedOrderDir = await mkdtemp(path.join(os.tmpdir(), 'whatsapp-insights-'));
+  try {
+    const mixedOrderPath = path.join(mixedOrderDir, 'mixed.txt');
+    await writeFile(mixedOrderPath, [
+      '13/01/24, 09:00 - Ana: Morning',
+      '01/13/24, 09:05 - Ben: Which order is this?',
+      '14/01/24, 09:10 - Ana: Day first'
+    ].join('\n'));
+    const cliDetectedOrder = await promisify(execFile)(process.execPath, [cliPath, mixedOrderPath, '--format', 'json']);
+    if (!cliDetectedOrder.stderr.includes('1 message dropped because its date does not exist in DMY order; check --date-format (try --date-format MDY).')) {
+      throw new Error(`CLI should name the other date order when the detected one drops messages, got ${cliDetectedOrder.stderr}.`);
+    }
+  } finally {
+    await rm(mixedOrderDir, { recursive: true, force: true });
+  }
+  const cliDateError = await runCli('--from', '2024-13-45').then(() => null, (error) => error);
+  if (!cliDateError || cliDateError.code !== 1 || !cliDateError.stderr.includes('--from expects a date like 2024-01-31')) {
+    throw new Error('CLI should reject impossible calendar dates in --from/--to.');
+  }
+  const cliError = await runCli('--format', 'xml').then(() => null, (error) => error);
+  if (!cliError || cliError.code !== 1 || !cliError.stderr.includes('--format must be one of')) {
+    throw new Error('CLI should reject unknown output formats with a usage error.');
+  }
+
+  const analysisSettings = { startDate: '2024-03-02', endDate: null, dateFormat: 'DMY', responseGapMinutes: 60, ignoreCommonWords: true };
+  const indexedStats = computeStatistics(indexedMessages);
+  const restored = parseAnalysisExport(serializeAnalysis({ messages: indexedMessages, stats: indexedStats, settings: analysisSettings }));
+  if (!(restored.stats.messagesByDate instanceof Map) || !(restored.stats.firstMessageDate instanceof Date)) {
+    throw new Error('Analysis export should revive Maps and Dates.');
+  }
+  if (serialiseStats(restored.stats) !== serialiseStats(indexedStats)
+    || serialiseStats(restored.messages) !== serialiseStats(indexedMessages)
+    || !(restored.messages[0].timestamp instanceof Date)) {
+    throw new Error('Analysis export should round-trip messages and statistics exactly.');
+  }
+  if (JSON.stringify(restored.settings) !== JSON.stringify(analysisSettings)) {
+    throw new Error('Analysis export should keep dashboard settings.');
+  }
+  const rejectedExport = (() => {
+    try {
+      parseAnalysisExport(JSON.stringify({ format: 'something-else', version: 1 }));
+      return null;
+    } catch (error) {
+      return error;
+    }
+  })();
+  if (!rejectedExport || !rejectedExport.message.includes('not a chat analysis export')) {
+    throw new Error('Importing unrelated JSON should fail with a clear error.');
+  }
+
+  const csvChat = [
+    '01/03/24, 09:00 - Ana: Line one, with "quotes" 😀',
+    'line two',
+    '01/03/24, 09:05 - Ben: image omitted',
+    '02/03/24, 10:00 - Ben: Plain reply'
+  ].join('\n');
+  const csvMessages = parseChat(csvChat).messages;
+  const csvStats = computeStatistics(csvMessages);
+  const messagesCsv = buildMessagesCsv(csvMessages);
+  const messagesCsvRows = messagesCsv.split('\r\n');
+  if (messagesCsvRows[0] !== 'timestamp,author,type,media_kind,word_count,emoji_count,content') {
+    throw new Error('Messages CSV should start with a header row.');
+  }
+  if (!messagesCsv.includes('2024-03-01 09:00:00,Ana,message,,7,1,"Line one, with ""quotes"" 😀\nline two"\r\n')) {
+    throw new Error('Messages CSV should quote commas, quotes and line breaks per RFC 4180.');
+  }
+  if (!messagesCsv.includes('2024-03-01 09:05:00,Ben,message,photo,0,0,image omitted')) {
+    throw new Error('Messages CSV should include the media kind.');
+  }
+  const dailyCsv = buildDailyActivityCsv(csvStats);
+  if (dailyCsv !== 'date,total,Ben,Ana\r\n2024-03-01,2,1,1\r\n2024-03-02,1,1,0\r\n') {
+    throw new Error(`Daily activity CSV should break days down by participant, got ${JSON.stringify(dailyCsv)}.`);
+  }
+  const participationRows = buildParticipationCsv(csvStats).trim().split('\r\n');
+  if (participationRows.length !== 3 || !participationRows[1].startsWith('Ben,2,') || !participationRows[2].startsWith('Ana,1,')) {
+    throw new Error('Participation CSV should list one row per participant.');
+  }
+
+  const htmlReport = buildHtmlReport({
+    title: 'Team <recap>',
+    cards: [{ title: 'Messages', value: '10', hint: 'Includes only participant messages.' }],
+    charts: [{ title: 'Hourly rhythm', image: 'data:image/png;base64,AAAA' }, { title: 'Empty' }],
+    insights: ['Peak hour: <strong>09:00</strong>'],
+    responseTimes: [{ participant: 'Ana', averageMinutes: 4.25, medianMinutes: 3, samples: 2 }],
+    longestMessages: [{ participant: 'Ben', content: '<script>alert(1)</script>', wordCount: 1, charCount: 25, timestamp: new Date(2024, 0, 1) }]
+  });
+  if (!htmlReport.includes('<title>Team &lt;recap&gt;</title>') || !htmlReport.includes('<style>')
+    || !htmlReport.includes('src="data:image/png;base64,AAAA"') || htmlReport.includes('Empty</figcaption>')) {
+    throw new Error('HTML report should inline styles and chart images.');
+  }
+  if (htmlReport.includes('<script>') || /<link|src="http/.test(htmlReport)) {
+    throw new Error('HTML report should be self-contained and escape chat content.');
+  }
+  if (!htmlReport.includes('<td>Ana</td>') || !htmlReport.includes('<strong>09:00</strong>')) {
+    throw new Error('HTML report should include the response-time table and insights.');
+  }
+
+  const privateChat = [
+    '01/03/24, 09:00 - Ana Lopez: Hi Ben, call me on +44 7700 900123 or mail ana@example.com',
+    '01/03/24, 09:02 - Ben: Sure Ana! Ticket TCK-1234 is at https://tracker.example.com/1234',
+    '01/03/24, 09:03 - Ben: IMG-20240301-WA0001.jpg (file attached)',
+    '01/03/24, 09:05 - Ana Lopez: Thanks Ben, see you on 2024-03-02'
+  ].join('\n');
+  const privateMessages = parseChat(privateChat).messages;
+  const { messages: scrubbedMessages, aliases: privacyAliases } = applyPrivacy(privateMessages, {
+    enabled: true,
+    aliases: parseAliasList('Ben = Product lead'),
+    customPatterns: parseCustomPatterns('/TCK-\\d+/')
+  });
+  if (privacyAliases.get('Ana Lopez') !== 'Participant A' || privacyAliases.get('Ben') !== 'Product lead') {
+    throw new Error('Privacy mode should assign letter aliases and honour custom labels.');
+  }
+  const scrubbedText = scrubbedMessages.map((message) => `${message.author}: ${message.content}`).join('\n');
+  if (/Ana|Ben|7700|example\.com|TCK-1234/.test(scrubbedText)) {
+    throw new Error(`Privacy mode should remove names, phones, e-mails, links and custom patterns, got ${scrubbedText}.`);
+  }
+  if (!scrubbedText.includes('IMG-20240301-WA0001.jpg') || !scrubbedText.includes('2024-03-02')) {
+    throw new Error('Privacy mode should leave attachment names and dates alone.');
+  }
+  const iosPrivateChat = [
+    '[01/03/2024, 09:10:00] Ben: \u200e<attached: 00000012-PHOTO-2024-03-01-09-10-00.jpg>',
+    '[01/03/2024, 09:11:00] Ana Lopez: It cost 1234567 pounds, ring 0044 7700 900123 or (020) 7946 0018'
+  ].join('\n');
+  const iosScrubbed = applyPrivacy(parseChat(iosPrivateChat).messages, { enabled: true }).messages;
+  if (iosScrubbed[0].content !== '\u200e<attached: 00000012-PHOTO-2024-03-01-09-10-00.jpg>') {
+    throw new Error(`Privacy mode should keep iOS attachment names intact, got ${iosScrubbed[0].content}.`);
+  }
+  if (iosScrubbed[1].content !== 'It cost 1234567 pounds, ring [phone] or [phone]') {
+    throw new Error(`Privacy mode should only redact phone-like numbers, got ${iosScrubbed[1].content}.`);
+  }
+  const iosScrubbedStats = computeStatistics(iosScrubbed);
+  if (iosScrubbedStats.mediaByKind.photo !== 1) {
+    throw new Error('Scrubbed iOS attachments should still be counted as media.');
+  }
+  const locationPrivateMessages = parseChat([
+    '01/03/24, 09:20 - Ana Lopez: location: https://maps.google.com/?q=51.5007,-0.1246',
+    '01/03/24, 09:21 - Ben: IMG-20240301-WA0002.jpg (file attached)',
+    '01/03/24, 09:22 - Ana Lopez: Meet me there, details at https://example.com/plan',
+    '01/03/24, 09:23 - Ben: Ben plan 2024.pdf (file attached)'
+  ].join('\n')).messages;
+  const openLocationStats = computeStatistics(locationPrivateMessages);
+  const privateLocationMessages = applyPrivacy(locationPrivateMessages, { enabled: true }).messages;
+  const privateLocationStats = computeStatistics(privateLocationMessages);
+  if (privateLocationStats.mediaCount !== openLocationStats.mediaCount || openLocationStats.mediaCount !== 3
+    || privateLocationMessages[3].content !== 'Ben plan 2024.pdf (file attached)'
+    || privateLocationStats.locations.length !== openLocationStats.locations.length || openLocationStats.locations.length !== 1
+    || privateLocationStats.wordFrequency.location || !privateLocationMessages[2].content.endsWith('[link]')) {
+    throw new Error('Privacy mode should keep shared locations and attachment names intact while redacting other links.');
+  }
+  if (privateMessages[0].author !== 'Ana Lopez') {
+    throw new Error('Privacy mode should not mutate the parsed messages.');
+  }
+  const scrubbedStats = computeStatistics(scrubbedMessages);
+  const scrubbedMarkdown = generateMarkdownSummary({ messages: scrubbedMessages, stats: scrubbedStats, sampleCount: 3 });
+  if (/Ana|Ben/.test(scrubbedMarkdown) || scrubbedStats.wordFrequency.phone || scrubbedStats.wordFrequency.link) {
+    throw new Error('Markdown and statistics built from scrubbed messages should not reveal names or count placeholders.');
+  }
+
+  const identityChat = [
+    '02/03/24, 10:00 - \u202a+44 7700 900123\u202c: Hello from my number',
+    '02/03/24, 10:01 - Maria 🌸: Hi!',
+    '02/03/24, 10:02 - Maria: Same person, new phone',
+    '02/03/24, 10:03 - +447700900123: Another one',
+    '02/03/24, 10:04 - Reminder Bot: Stand-up in 5 minutes',
+    '02/03/24, 10:05 - Maria 🌸 changed the group description'
+  ].join('\n');
+  const identityMessages = parseChat(identityChat).messages;
+  if (!identityMessages.some((message) => message.author === '+44 7700 900123')) {
+    throw new Error('Sender names should be stripped of bidi isolation marks.');
+  }
+  const mergeSuggestions = suggestParticipantMerges(listParticipants(identityMessages).map(({ name }) => name));
+  const suggestionKeys = mergeSuggestions.map((group) => [...group].sort().join('|')).sort();
+  if (suggestionKeys.length !== 2
+    || suggestionKeys[0] !== '+44 7700 900123|+447700900123'
+    || suggestionKeys[1] !== 'Maria|Maria 🌸') {
+    throw new Error(`Expected emoji and phone-format variants to be suggested as merges, got ${JSON.stringify(mergeSuggestions)}.`);
+  }
+
+  const identityMapping = {
+    aliases: { 'Maria 🌸': 'Maria', '+447700900123': 'Sam', '+44 7700 900123': 'Sam' },
+    hidden: ['Reminder Bot']
+  };
+  const mappedMessages = applyParticipantMapping(identityMessages, identityMapping);
+  const mappedStats = computeStatistics(mappedMessages);
+  if (mappedStats.participants.length !== 2
+    || mappedStats.messageCountByParticipant.Maria !== 2
+    || mappedStats.messageCountByParticipant.Sam !== 2
+    || mappedStats.messageCountByParticipant['Reminder Bot']) {
+    throw new Error(`Participant mapping should merge, rename and hide identities, got ${JSON.stringify(mappedStats.messageCountByParticipant)}.`);
+  }
+  const mappedEvent = mappedMessages.find((message) => message.type === 'system' && message.event?.actor);
+  if (mappedEvent && mappedEvent.event.actor !== 'Maria') {
+    throw new Error('Participant mapping should rename system event actors too.');
+  }
+  if (applyParticipantMapping(identityMessages, { aliases: {}, hidden: [] }) !== identityMessages) {
+    throw new Error('An empty participant mapping should leave the messages untouched.');
+  }
+  if (identityMessages[1].author !== 'Maria 🌸') {
+    throw new Error('Participant mapping should not mutate the parsed messages.');
+  }
+
+  const memoryStorage = new Map();
+  const fakeStorage = {
+    getItem: (key) => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+    setItem: (key, value) => memoryStorage.set(key, value),
+    removeItem: (key) => memoryStorage.delete(key)
+  };
+  const identityKey = getChatStorageKey(identityMessages);
+  if (identityKey !== getChatStorageKey(parseChat(identityChat).messages) || identityKey === getChatStorageKey(mappedMessages)) {
+    throw new Error('Chat storage keys should be stable for the same export and differ between chats.');
+  }
+  saveParticipantMapping(identityKey, identityMapping, fakeStorage);
+  const restoredMapping = loadParticipantMapping(identityKey, fakeStorage);
+  if (restoredMapping.aliases['Maria 🌸'] !== 'Maria' || restoredMapping.hidden[0] !== 'Reminder Bot') {
+    throw new Error('Participant mappings should round-trip through storage.');
+  }
+  saveParticipantMapping(identityKey, { aliases: {}, hidden: [] }, fakeStorage);
+  if (memoryStorage.size || loadParticipantMapping(identityKey, fakeStorage).hidden.length) {
+    throw new Error('Saving an empty participant mapping should clear the stored entry.');
+  }
+
+  const diagnosticChat = [
+    'Chat exported from a backup tool',
+    '',
+    '12/03/24, 09:00 - Alice: Morning',
+    'continued on a second line',
+    '31/02/24, 09:01 - Bob: This date does not exist',
+    '11/03/24, 09:02 - Alice: Dated before the previous message',
+    '13/03/24, 09:03 - Bob: Back in order'
+  ].join('\n');
+  const diagnosticResult = parseChat(diagnosticChat);
+  const { diagnostics } = diagnosticResult;
+  if (diagnosticResult.messages.length !== 3 || diagnosticResult.messages[0].content !== 'Morning\ncontinued on a second line') {
+    throw new Error('Invalid dates should be dropped while continuation lines stay attached.');
+  }
+  if (diagnostics.orphanLines.count !== 1 || diagnostics.orphanLines.samples[0].line !== 1
+    || diagnostics.orphanLines.samples[0].snippet !== 'Chat exported from a backup tool') {
+    throw new Error(`Expected the line before the first header to be reported, got ${JSON.stringify(diagnostics.orphanLines)}.`);
+  }
+  if (diagnostics.invalidDates.count !== 1 || diagnostics.invalidDates.samples[0].line !== 5) {
+    throw new Error(`Expected the impossible date on line 5 to be reported, got ${JSON.stringify(diagnostics.invalidDates)}.`);
+  }
+  if (diagnostics.outOfOrder.count !== 1 || diagnostics.outOfOrder.samples[0].line !== 6 || diagnostics.outOfOrder.samples[0].previousLine !== 3) {
+    throw new Error(`Expected the out-of-order timestamp on line 6 to be reported, got ${JSON.stringify(diagnostics.outOfOrder)}.`);
+  }
+  if (diagnostics.dateFormat.format !== 'DMY' || diagnostics.dateFormat.level !== 'certain') {
+    throw new Error('Headers with a day above 12 should make the date order certain.');
+  }
+  if (parseChat(ambiguousChat).diagnostics.dateFormat.level === 'certain'
+    || parseChat(ambiguousChat, { dateFormat: 'MDY' }).diagnostics.dateFormat.level !== 'override') {
+    throw new Error('Ambiguous and overridden date orders should be reported with lower confidence.');
+  }
+  const longOrphans = Array.from({ length: 30 }, (_, index) => `preamble ${index}`).concat('12/03/24, 09:00 - Alice: Hi').join('\n');
+  const cappedDiagnostics = parseChat(longOrphans).diagnostics.orphanLines;
+  if (cappedDiagnostics.count !== 30 || cappedDiagnostics.samples.length >= 30) {
+    throw new Error('Diagnostics should keep the full count but cap the number of samples.');
+  }
+
+  const iosExport = [
+    '[12/03/2024, 09:00:15] Alice: Morning',
+    '[12/03/2024, 09:01:02] Bob: \u200e<attached: 00000012-PHOTO-2024-03-12-09-01-00.jpg>',
+    '[12/03/2024, 09:02:00] Alice: ok',
+    '[12/03/2024, 09:02:30] Alice: ok',
+    '[13/03/2024, 10:00:00] Bob: Newer message'
+  ].join('\n');
+  const androidExport = [
+    '11/03/2024, 18:00 - Bob: Older message',
+    '12/03/2024, 09:00 - Alice: Morning',
+    '12/03/2024, 09:01 - Bob: IMG-20240312-WA0001.jpg (file attached)',
+    '12/03/2024, 09:02 - Alice: ok'
+  ].join('\n');
+  const mergedExports = runAnalysisTask('merge', {
+    sources: [{ name: 'ios.txt', text: iosExport }, { name: 'android.txt', text: androidExport }]
+  });
+  const mergedContents = mergedExports.messages.map((message) => message.content);
+  if (mergedExports.messages.length !== 6 || mergedContents[0] !== 'Older message' || mergedContents.at(-1) !== 'Newer message') {
+    throw new Error(`Merged exports should form one chronological timeline without duplicates, got ${JSON.stringify(mergedContents)}.`);
+  }
+  if (mergedContents.filter((content) => content === 'ok').length !== 2) {
+    throw new Error('Identical messages repeated within one export should be kept when merging.');
+  }
+  const [iosSource, androidSource] = mergedExports.sources;
+  if (iosSource.added !== 5 || iosSource.duplicates !== 0 || androidSource.added !== 1 || androidSource.duplicates !== 3) {
+    throw new Error(`Expected a per-file contribution summary, got ${JSON.stringify(mergedExports.sources)}.`);
+  }
+  if (computeStatistics(mergedExports.messages).mediaCount !== 1) {
+    throw new Error('The same attachment in iOS and Android exports should only be counted once.');
+  }
+
+  const omittedMerge = runAnalysisTask('merge', {
+    sources: [
+      {
+        name: 'ios.txt',
+        text: ['[12/03/2024, 09:00:15] Alice: Morning', '[12/03/2024, 09:01:02] Bob: \u200eimage omitted', '[12/03/2024, 09:02:00] Alice: Nice'].join('\n')
+      },
+      {
+        name: 'android.txt',
+        text: ['12/03/2024, 09:01 - Bob: <Media omitted>', '12/03/2024, 09:02 - Alice: Nice', '12/03/2024, 09:05 - Bob: Thanks'].join('\n')
+      }
+    ]
+  });
+  if (omittedMerge.sources.map((source) => [source.added, source.duplicates]).join('|') !== '3,0|1,2'
+    || computeStatistics(omittedMerge.messages).mediaCount !== 1) {
+    throw new Error(`Omitted media should be matched across iOS and Android exports, got ${JSON.stringify(omittedMerge.sources)}.`);
+  }
+
+  const sessionMessages = [
+    { timestamp: new Date(2024, 4, 1, 9, 0), author: 'Alice', content: 'Coffee?', type: 'message' },
+    { timestamp: new Date(2024, 4, 1, 9, 5), author: 'Bob', content: 'Sure', type: 'message' },
+    { timestamp: new Date(2024, 4, 1, 9, 20), author: 'Alice', content: 'See you there', type: 'message' },
+    { timestamp: new Date(2024, 4, 1, 14, 0), author: 'Alice', content: 'That was fun', type: 'message' },
+    { timestamp: new Date(2024, 4, 1, 14, 30), author: 'Bob', content: 'Agreed', type: 'message' },
+    { timestamp: new Date(2024, 4, 1, 23, 50), author: 'Bob', content: 'Still awake?', type: 'message' },
+    { timestamp: new Date(2024, 4, 2, 0, 10), author: 'Alice', content: 'Yes', type: 'message' }
+  ];
+  const sessionStats = computeStatistics(sessionMessages).sessions;
+  if (sessionStats.gapMinutes !== 60 || sessionStats.count !== 3) {
+    throw new Error(`Expected three conversation sessions with the default gap, got ${JSON.stringify(sessionStats)}.`);
+  }
+  if (sessionStats.byParticipant.Alice.started !== 2 || sessionStats.byParticipant.Bob.started !== 1
+    || sessionStats.byParticipant.Alice.ended !== 2 || sessionStats.byParticipant.Bob.ended !== 1) {
+    throw new Error(`Sessions should credit initiators and closers, got ${JSON.stringify(sessionStats.byParticipant)}.`);
+  }
+  if (sessionStats.medianDurationMinutes !== 20 || sessionStats.averageMessagesPerSession !== 2.3
+    || sessionStats.longestSession.durationMinutes !== 30) {
+    throw new Error(`Unexpected session durations or sizes: ${JSON.stringify(sessionStats)}.`);
+  }
+  if (computeStatistics(sessionMessages, { sessionGapMinutes: 300 }).sessions.count !== 2) {
+    throw new Error('A longer idle threshold should merge sessions.');
+  }
+  const sessionIndex = buildStatisticsIndex(sessionMessages);
+  const secondDaySessions = queryStatisticsIndex(sessionIndex, { startDate: '2024-05-02', endDate: '2024-05-02' }).sessions;
+  if (secondDaySessions.count !== 1 || secondDaySessions.byParticipant.Alice.started !== 1) {
+    throw new Error('Sessions should only use the messages inside the selected range.');
+  }
+  if (!generateMarkdownSummary({ messages: sessionMessages, stats: computeStatistics(sessionMessages), sampleCount: 0 }).includes('**Conversations:** 3')) {
+    throw new Error('The Markdown recap should summarise conversation sessions.');
+  }
+
+  const groupReplyMessages = [
+    { timestamp: new Date(2024, 5, 1, 10, 0), author: 'Ana', content: 'Who is in for lunch?', type: 'message' },
+    { timestamp: new Date(2024, 5, 1, 10, 2), author: 'Ben', content: 'Me', type: 'message' },
+    { timestamp: new Date(2024, 5, 1, 10, 6), author: 'Cleo', content: 'Me too', type: 'message' },
+    { timestamp: new Date(2024, 5, 1, 10, 7), author: 'Ana', content: 'Great', type: 'message' },
+    { timestamp: new Date(2024, 5, 1, 10, 11), author: 'Ben', content: 'Where?', type: 'message' },
+    { timestamp: new Date(2024, 5, 1, 16, 0), author: 'Ana', content: 'The usual place', type: 'message' }
+  ];
+  const replyMatrix = computeStatistics(groupReplyMessages).replyMatrix;
+  if (replyMatrix.Ben.Ana.count !== 2 || replyMatrix.Ben.Ana.medianMinutes !== 3
+    || replyMatrix.Cleo.Ben.count !== 1 || replyMatrix.Ana.Cleo.count !== 1 || replyMatrix.Ana.Ben.count !== 1) {
+    throw new Error(`Expected a pairwise reply matrix, got ${JSON.stringify(replyMatrix)}.`);
+  }
+  const cappedMatrix = computeStatistics(groupReplyMessages, { responseGapMinutes: 60 }).replyMatrix;
+  if (cappedMatrix.Ana.Ben) {
+    throw new Error('The reply matrix should drop replies slower than the reply gap.');
+  }
+  const replyMarkdown = generateMarkdownSummary({ messages: groupReplyMessages, stats: computeStatistics(groupReplyMessages), sampleCount: 0 });
+  if (!replyMarkdown.includes('## Who replies to whom') || !replyMarkdown.includes('| Ben | 2 (3) | — | — |')) {
+    throw new Error(`The Markdown recap should include the reply matrix table, got ${replyMarkdown}.`);
+  }
+  const replyEdges = buildReplyEdges(replyMatrix);
+  const anaBenEdge = replyEdges.find((edge) => edge.source === 'Ana' && edge.target === 'Ben');
+  if (replyEdges.length !== 3 || anaBenEdge?.weight !== 3) {
+    throw new Error(`Reply edges should combine both directions per pair, got ${JSON.stringify(replyEdges)}.`);
+  }
+  const layoutNodes = ['Ana', 'Ben', 'Cleo', 'Dev'].map((id) => ({ id }));
+  const layout = layoutNetwork(layoutNodes, replyEdges, { width: 400, height: 300, padding: 20 });
+  const repeatLayout = layoutNetwork(layoutNodes, replyEdges, { width: 400, height: 300, padding: 20 });
+  if (layout.some((node) => node.x < 20 || node.x > 380 || node.y < 20 || node.y > 280 || Number.isNaN(node.x))) {
+    throw new Error('Network layout should keep nodes inside the padded canvas.');
+  }
+  if (layout.some((node, index) => node.x !== repeatLayout[index].x || node.y !== repeatLayout[index].y)) {
+    throw new Error('Network layout should be deterministic.');
+  }
+
+  const timelineMessages = [
+    [1, 'Ana'], [1, 'Ben'], [2, 'Ana'], [3, 'Ana'], [3, 'Ben'], [3, 'Ben'], [10, 'Ben'], [40, 'Ana']
+  ].map(([day, author]) => ({ timestamp: new Date(2024, 0, day, 12), author, content: 'Hello there', type: 'message' }));
+  const timelineStats = computeStatistics(timelineMessages);
+  const dailyTimeline = buildActivityTimeline(timelineStats);
+  if (dailyTimeline.labels.length !== 40 || dailyTimeline.totals[4] !== 0 || dailyTimeline.totals[2] !== 3) {
+    throw new Error('The daily timeline should cover every day in the range, including quiet ones.');
+  }
+  if (dailyTimeline.markers.busiestDay !== 2 || dailyTimeline.markers.streak.start !== 0 || dailyTimeline.markers.streak.end !== 2) {
+    throw new Error(`Timeline markers should point at the busiest day and the longest streak, got ${JSON.stringify(dailyTimeline.markers)}.`);
+  }
+  const weeklyTimeline = buildActivityTimeline(timelineStats, { granularity: 'week', rollingAverage: true });
+  if (weeklyTimeline.labels[0] !== '2024-01-01' || weeklyTimeline.labels[1] !== '2024-01-08'
+    || weeklyTimeline.totals.join(',') !== '6,1,0,0,0,1'
+    || weeklyTimeline.byParticipant.Ben.join(',') !== '3,1,0,0,0,0') {
+    throw new Error(`Weekly timeline should bucket by Monday-based weeks per participant, got ${JSON.stringify(weeklyTimeline)}.`);
+  }
+  if (weeklyTimeline.rollingAverage.join(',') !== '6,3.5,2.3,1.8,0.3,0.3') {
+    throw new Error(`Unexpected weekly rolling average: ${weeklyTimeline.rollingAverage}.`);
+  }
+  const monthlyTimeline = buildActivityTimeline(timelineStats, { granularity: 'month' });
+  if (monthlyTimeline.labels.join(',') !== '2024-01,2024-02' || monthlyTimeline.totals.join(',') !== '7,1' || monthlyTimeline.rollingAverage !== null) {
+    throw new Error(`Unexpected monthly timeline: ${JSON.stringify(monthlyTimeline)}.`);
+  }
+
+  const calendar = buildCalendarHeatmap(timelineStats);
+  const calendarDays = calendar.years[0].weeks.flat().filter(Boolean);
+  if (calendar.years.length !== 1 || calendarDays.length !== 366 || calendar.years[0].weeks[0][0].date !== '2024-01-01') {
+    throw new Error('The calendar heatmap should lay out every day of each year in Monday-first weeks.');
+  }
+  if (calendar.maxCount !== 3 || calendar.years[0].total !== 8
+    || calendarDays.find((day) => day.date === '2024-01-03').count !== 3
+    || calendarDays.find((day) => day.date === '2024-03-01').inRange) {
+    throw new Error(`Unexpected calendar heatmap counts or range flags: ${JSON.stringify(calendar.years[0].weeks[0])}.`);
+  }
+  const benCalendar = buildCalendarHeatmap(timelineStats, { participant: 'Ben', startDate: '2023-12-30', endDate: '2024-01-05' });
+  const benDays = benCalendar.years.flatMap((year) => year.weeks.flat()).filter(Boolean);
+  if (benCalendar.years.map((year) => year.year).join(',') !== '2023,2024' || benCalendar.maxCount !== 2
+    || benDays.find((day) => day.date === '2024-01-10').inRange || benDays.find((day) => day.date === '2024-01-01').count !== 1) {
+    throw new Error('The calendar heatmap should honour the participant filter and the selected range.');
+  }
+
+  if (timelineStats.messagesByWeekdayHour.map((hours) => hours[12]).join(',') !== '2,1,4,0,1,0,0'
+    || timelineStats.messagesByWeekdayHour.flat().reduce((sum, count) => sum + count, 0) !== 8) {
+    throw new Error(`Weekday × hour matrix should be Monday-first, got ${JSON.stringify(timelineStats.messagesByWeekdayHour.map((hours) => hours[12]))}.`);
+  }
+  if (timelineStats.messagesByWeekdayHourByParticipant.Ben.map((hours) => hours[12]).join(',') !== '1,0,3,0,0,0,0') {
+    throw new Error('Weekday × hour matrix should be tracked per participant.');
+  }
+  const emptyWeekdayStats = queryStatisticsIndex(buildStatisticsIndex(timelineMessages), { startDate: '2025-01-01', endDate: '2025-01-02' });
+  if (emptyWeekdayStats.messagesByWeekdayHour.length !== 7 || emptyWeekdayStats.messagesByWeekdayHour.flat().some(Boolean)) {
+    throw new Error('An empty range should still return a zeroed 7×24 matrix.');
+  }
+
+  // 2024-01-01 is a Monday; Wendy only writes on Saturdays and Sundays, Sam splits their
+  // messages between late nights and early mornings, and Zoe only writes late on Saturdays.
+  const chronotypeMessages = Array.from({ length: 24 }, (_, index) => [
+    { timestamp: new Date(2024, 0, 1 + (index % 5), 23, index), author: 'Owen', content: 'Still up', type: 'message' },
+    { timestamp: new Date(2024, 0, 1 + (index % 5), 6, index), author: 'Lara', content: 'Morning', type: 'message' },
+    { timestamp: new Date(2024, 0, 6 + (index % 2), 14, index), author: 'Wendy', content: 'Weekend!', type: 'message' },
+    { timestamp: new Date(2024, 0, 1 + (index % 5), index % 2 ? 23 : 6, index), author: 'Sam', content: 'Either way', type: 'message' },
+    { timestamp: new Date(2024, 0, 6, 23, index), author: 'Zoe', content: 'Party', type: 'message' },
+    ...(index < 5 ? [{ timestamp: new Date(2024, 0, 2, 1, index), author: 'Nina', content: 'Late', type: 'message' }] : [])
+  ]).flat();
+  const chronotypeStats = computeStatistics(chronotypeMessages);
+  const chronotypes = Object.fromEntries(describeChronotypes(chronotypeStats)
+    .map(({ participant, types }) => [participant, types.map(({ type }) => type).join(',')]));
+  if (chronotypes.Owen !== 'nightOwl' || chronotypes.Lara !== 'earlyBird' || chronotypes.Wendy !== 'weekendOnly'
+    || chronotypes.Sam !== 'earlyBird,nightOwl' || chronotypes.Zoe !== 'nightOwl,weekendOnly' || 'Nina' in chronotypes) {
+    throw new Error(`Unexpected chronotypes: ${JSON.stringify(chronotypes)}.`);
+  }
+
   const replyGapMessages = [
     { timestamp: new Date(2024, 0, 1, 21, 0), author: 'Alice', content: 'Evening check-in', type: 'message' },
     { timestamp: new Date(2024, 0, 1, 21, 10), author: 'Bob', content: 'All good!', type: 'message' },
@@ -486,6 +1342,18 @@ async function main() {
         <canvas id="participants-chart"></canvas>
         <canvas id="hourly-chart"></canvas>
         <canvas id="words-chart"></canvas>
+        <select id="gallery-participant"><option value="">Everyone</option></select>
+        <select id="gallery-kind">
+          <option value="">All media</option>
+          <option value="photo">Photos</option>
+          <option value="voice">Voice notes</option>
+        </select>
+        <div id="media-gallery"></div>
+        <button id="gallery-more" hidden></button>
+        <div id="gallery-context" hidden></div>
+        <select id="language-pack-select"></select>
+        <div id="location-plot"></div>
+        <ul id="location-list"></ul>
       </body>
     </html>`, { url: 'http://localhost' });
 
@@ -549,6 +1417,137 @@ async function main() {
     throw new Error('Insights should render escaped participant names.');
   }
 
+  buildInsights(computeStatistics(sessionMessages));
+  const sessionInsight = document.getElementById('insight-list').textContent;
+  if (!sessionInsight.includes('Who breaks the silence: Alice starts 67% of conversations (2 of 3)')) {
+    throw new Error(`Insights should name who most often starts conversations, got ${sessionInsight}.`);
+  }
+
+  buildInsights(computeStatistics(chronotypeMessages));
+  const chronotypeInsights = Array.from(document.querySelectorAll('#insight-list li'), (item) => item.textContent)
+    .filter((text) => /^(?:Night owl|Early bird|Weekend-only):/.test(text));
+  if (chronotypeInsights.length !== 3
+    || !chronotypeInsights.includes('Early bird: Lara sends 100% of their messages between 05:00 and 09:00.')
+    || !chronotypeInsights.includes('Night owl: Owen sends 100% of their messages between 22:00 and 04:00.')
+    || !chronotypeInsights.includes('Night owl: Zoe sends 100% of their messages between 22:00 and 04:00.')) {
+    throw new Error(`Insights should list the strongest chronotype of the most pronounced few participants, got ${chronotypeInsights}.`);
+  }
+
+  // Gallery paging and filtering, driven through a folder-style upload of a transcript
+  // plus loose media files.
+  window.URL.createObjectURL = (blob) => `blob:${blob.size}`;
+  window.URL.revokeObjectURL = () => {};
+  const galleryLines = [];
+  const galleryFiles = [];
+  for (let index = 0; index < 53; index += 1) {
+    const isVoice = index >= 50;
+    const fileName = isVoice ? `PTT-20240301-WA${1000 + index}.opus` : `IMG-20240301-WA${1000 + index}.jpg`;
+    const minute = String(index % 60).padStart(2, '0');
+    galleryLines.push(`01/03/24, 1${Math.floor(index / 60)}:${minute} - ${isVoice ? 'Ben' : 'Ana'}: ${fileName} (file attached)`);
+    galleryFiles.push(new File([`media ${index}`], fileName));
+  }
+  galleryLines.push('01/03/24, 11:00 - Ben: Nice photos!');
+  const fileInput = document.getElementById('chat-file');
+  Object.defineProperty(fileInput, 'files', {
+    configurable: true,
+    value: [new File([galleryLines.join('\n')], 'WhatsApp Chat with Ana.txt'), ...galleryFiles]
+  });
+  fileInput.dispatchEvent(new window.Event('change'));
+  const galleryGrid = document.getElementById('media-gallery');
+  for (let attempt = 0; attempt < 100 && !galleryGrid.querySelector('.gallery-item img'); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const galleryMore = document.getElementById('gallery-more');
+  const firstPage = Array.from(galleryGrid.querySelectorAll('.gallery-item'));
+  if (firstPage.length !== 48 || galleryMore.hidden) {
+    throw new Error(`The gallery should show one page of 48 attachments with a "Show more" button, got ${firstPage.length}.`);
+  }
+  const firstImage = firstPage[0].querySelector('img');
+  galleryMore.click();
+  const secondPage = Array.from(galleryGrid.querySelectorAll('.gallery-item'));
+  if (secondPage.length !== 53 || !galleryMore.hidden || secondPage[0].querySelector('img') !== firstImage) {
+    throw new Error('"Show more" should append the next page without rebuilding the items already shown.');
+  }
+  const responseGapField = document.getElementById('response-gap-limit');
+  responseGapField.value = '30';
+  responseGapField.dispatchEvent(new window.Event('input'));
+  if (galleryGrid.querySelector('.gallery-item') !== secondPage[0] || galleryGrid.querySelectorAll('.gallery-item').length !== 53) {
+    throw new Error('Changing reply settings should not rebuild the gallery.');
+  }
+  const galleryParticipant = document.getElementById('gallery-participant');
+  galleryParticipant.value = 'Ben';
+  galleryParticipant.dispatchEvent(new window.Event('change'));
+  const benItems = galleryGrid.querySelectorAll('.gallery-item');
+  if (benItems.length !== 3 || Array.from(benItems).some((item) => item.dataset.kind !== 'voice') || !galleryMore.hidden) {
+    throw new Error(`The gallery participant filter should narrow the grid, got ${benItems.length} items.`);
+  }
+  const galleryKind = document.getElementById('gallery-kind');
+  galleryParticipant.value = '';
+  galleryKind.value = 'photo';
+  galleryKind.dispatchEvent(new window.Event('change'));
+  if (galleryGrid.querySelectorAll('.gallery-item[data-kind="photo"]').length !== 48 || galleryMore.hidden) {
+    throw new Error('The gallery kind filter should restart paging on the filtered attachments.');
+  }
+
+  Object.defineProperty(fileInput, 'files', {
+    configurable: true,
+    value: [new File([[
+      '13/01/24, 09:00 - Ana: Morning',
+      '01/13/24, 09:05 - Ben: Which order is this?',
+      '14/01/24, 09:10 - Ana: Day first'
+    ].join('\n')], 'mixed.txt')]
+  });
+  fileInput.dispatchEvent(new window.Event('change'));
+  const loadStatusElement = document.getElementById('load-status');
+  for (let attempt = 0; attempt < 100 && !loadStatusElement.textContent.startsWith('Loaded 2 messages'); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  if (!loadStatusElement.textContent.includes('1 message was dropped because its date does not exist in this date order')) {
+    throw new Error(`The load status should say how many messages were dropped for invalid dates, got ${loadStatusElement.textContent}.`);
+  }
+
+  Object.defineProperty(fileInput, 'files', {
+    configurable: true,
+    value: [new File([[
+      '13/01/24, 09:00 - Ana: <Media omitted>',
+      '13/01/24, 09:01 - Ben: <Media omitted>',
+      '13/01/24, 09:02 - Ana: <Media omitted>',
+      '13/01/24, 09:03 - Ben: Hola amigos <Se editó este mensaje.>',
+      '13/01/24, 09:04 - Ana: Se eliminó este mensaje',
+      '13/01/24, 09:05 - Ben: location: https://maps.google.com/?q=51.5,-0.12'
+    ].join('\n')], 'switch.txt')]
+  });
+  fileInput.dispatchEvent(new window.Event('change'));
+  for (let attempt = 0; attempt < 100 && !loadStatusElement.textContent.startsWith('Loaded 6 messages'); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  // The plot is copied into the standalone HTML report, which has no access to styles.css.
+  const locationPlotSvg = document.querySelector('#location-plot svg');
+  if (!locationPlotSvg || locationPlotSvg.querySelector('[class]') || !locationPlotSvg.querySelector('rect').getAttribute('fill')) {
+    throw new Error('The location plot should colour its background with inline attributes.');
+  }
+  const readDeletedEditedCard = () => Array.from(document.querySelectorAll('#summary-cards .stat-card'))
+    .find((card) => card.querySelector('h3').textContent === 'Deleted / edited')
+    ?.querySelector('p').textContent;
+  if (readDeletedEditedCard() !== '0 / 0') {
+    throw new Error(`The auto-detected English pack should not recognise Spanish placeholders, got ${readDeletedEditedCard()}.`);
+  }
+  const languagePackSelect = document.getElementById('language-pack-select');
+  languagePackSelect.value = 'es';
+  languagePackSelect.dispatchEvent(new window.Event('change'));
+  for (let attempt = 0; attempt < 100 && !loadStatusElement.textContent.includes('language: Español'); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  if (readDeletedEditedCard() !== '1 / 1') {
+    throw new Error(`Switching the language pack after loading should re-flag edits and deletions, got ${readDeletedEditedCard()}.`);
+  }
+  if (document.getElementById('top-words').textContent.includes('editó')) {
+    throw new Error('Switching the language pack should strip the edit marker from message text.');
+  }
+  if (!languagePackSelect.querySelector('option[value=""]').textContent.includes('English')) {
+    throw new Error('The auto-detect option should keep naming the detected language after a switch.');
+  }
+
   console.log('Parsed messages:', messages.length);
   console.log('Participants detected:', stats.participants.join(', '));
   console.log('Top word sample:', stats.topWords.slice(0, 3));